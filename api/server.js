@@ -2,6 +2,10 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import { PrismaClient } from '@prisma/client';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { ReplayFormat } from '../src/simulation/ReplayFormat.js';
+import { LEVELS } from '../src/levels/index.js';
+import { FIXED_TIME_STEP } from '../src/PhysicsWorld.js';
 
 const app = express();
 const prisma = new PrismaClient();
@@ -45,6 +49,88 @@ function isNicknameValid(nickname) {
     return true;
 }
 
+// Scores are rounded to one decimal place; a claim this close to the re-simulated score matches
+const SCORE_TOLERANCE = 0.01;
+
+// Most game time one submission may ask the server to re-simulate, over all its levels.
+// Verifying holds up every other request, so anything longer is turned away unplayed
+const MAX_VERIFY_SECONDS = 600;
+const MAX_VERIFY_STEPS = Math.round(MAX_VERIFY_SECONDS / FIXED_TIME_STEP);
+
+// Re-play each level's replay in the headless simulation and total the scores they earn.
+// Returns { totalScore, levelsCompleted }, or { error } for the first run that doesn't check out.
+function verifyLevelRuns(levels) {
+    if (!Array.isArray(levels) || levels.length > LEVELS.length) {
+        return { error: 'Invalid level runs' };
+    }
+    
+    // Check every replay, and how long they take in all, before simulating any of them
+    const seen = new Set();
+    const replays = [];
+    let totalSteps = 0;
+    
+    for (const run of levels) {
+        const levelNumber = run?.level;
+        if (!Number.isInteger(levelNumber) || levelNumber < 1 || levelNumber > LEVELS.length || seen.has(levelNumber)) {
+            return { error: 'Invalid level runs' };
+        }
+        seen.add(levelNumber);
+        
+        try {
+            const replay = ReplayFormat.parse(run.replay);
+            if (replay.level !== levelNumber) {
+                throw new Error(`it is for level ${replay.level}`);
+            }
+            if (!ReplayFormat.isCurrent(replay)) {
+                throw new Error('it was recorded by an older version of the game');
+            }
+            replays.push(replay);
+            totalSteps += ReplayFormat.getLength(replay);
+        } catch (error) {
+            return { error: `Level ${levelNumber} replay is invalid: ${error.message}` };
+        }
+    }
+    
+    if (totalSteps > MAX_VERIFY_STEPS) {
+        return { error: `Replays run longer than ${MAX_VERIFY_SECONDS / 60} minutes in all` };
+    }
+    
+    let totalScore = 0;
+    for (let i = 0; i < levels.length; i++) {
+        const run = levels[i];
+        const levelNumber = run.level;
+        
+        let result;
+        try {
+            result = simulateQuietly(() => new Simulation(levelNumber).runReplay(replays[i]));
+        } catch (error) {
+            return { error: `Level ${levelNumber} replay is invalid: ${error.message}` };
+        }
+        
+        if (!result.victory) {
+            return { error: `Level ${levelNumber} replay doesn't complete the level` };
+        }
+        if (typeof run.score !== 'number' || Math.abs(run.score - result.score) > SCORE_TOLERANCE) {
+            return { error: `Level ${levelNumber} score doesn't match its replay` };
+        }
+        
+        totalScore += result.score;
+    }
+    
+    return { totalScore, levelsCompleted: levels.length };
+}
+
+// Run a simulation without the game's per-hit logging
+function simulateQuietly(run) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return run();
+    } finally {
+        console.log = log;
+    }
+}
+
 // GET /api/leaderboard/validate/:nickname - Test nickname validation
 app.get('/api/leaderboard/validate/:nickname', (req, res) => {
     const nickname = req.params.nickname.toUpperCase();
@@ -60,10 +146,11 @@ app.get('/api/leaderboard/validate/:nickname', (req, res) => {
     });
 });
 
-// POST /api/leaderboard - Submit a total score (calculated from localStorage)
+// POST /api/leaderboard - Submit a total score (calculated from localStorage), with the
+// per-level replays behind it: levels: [{ level, score, replay }]
 app.post('/api/leaderboard', async (req, res) => {
     try {
-        const { nickname, totalScore, levelsCompleted, deviceId } = req.body;
+        const { nickname, totalScore: claimedScore, levelsCompleted: claimedLevels, deviceId, levels } = req.body;
         
         // Validate nickname
         const upperNickname = nickname?.toUpperCase();
@@ -89,15 +176,30 @@ app.post('/api/leaderboard', async (req, res) => {
         }
         
         // Validate totalScore
-        if (typeof totalScore !== 'number' || totalScore < 0) {
+        if (typeof claimedScore !== 'number' || claimedScore < 0) {
             return res.status(400).json({ error: 'Invalid total score' });
         }
         
         // Validate levelsCompleted
-        if (typeof levelsCompleted !== 'number' || levelsCompleted < 0 || levelsCompleted > 10) {
+        if (typeof claimedLevels !== 'number' || claimedLevels < 0 || claimedLevels > 10) {
             return res.status(400).json({ error: 'Invalid levels completed count' });
         }
         
+        // Re-simulate the replays: only scores the server works out itself go on the leaderboard
+        const verified = verifyLevelRuns(levels);
+        if (verified.error) {
+            console.log(`❌ Score verification failed for "${upperNickname}": ${verified.error}`);
+            return res.status(400).json({ error: verified.error });
+        }
+        
+        if (Math.abs(claimedScore - verified.totalScore) > SCORE_TOLERANCE || claimedLevels !== verified.levelsCompleted) {
+            console.log(`❌ Score verification failed for "${upperNickname}": claimed ${claimedScore} over ${claimedLevels} levels, replays earn ${verified.totalScore} over ${verified.levelsCompleted}`);
+            return res.status(400).json({ error: 'Total score doesn\'t match the submitted replays' });
+        }
+        
+        const { totalScore, levelsCompleted } = verified;
+        console.log(`✅ Verified ${levelsCompleted} level replays for "${upperNickname}": ${totalScore.toFixed(1)}`);
+        
         // Check if device already has an entry
         const existingByDevice = await prisma.leaderboardEntry.findUnique({
             where: { deviceId }
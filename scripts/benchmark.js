@@ -0,0 +1,84 @@
+/**
+ * Time physics steps on every shipped level, headlessly
+ *
+ * Usage: npm run benchmark
+ *
+ * Each level settles for 2 seconds, then takes a shot at each of its first three
+ * buildings, so the timing covers pieces falling, breaking up and settling again.
+ * The battlefield dressing's static bodies are in the world, as in the game.
+ *
+ * Every level runs twice: with cannon's NaiveBroadphase, which tests every pair of
+ * bodies (the game's broadphase before SpatialBroadphase), and with the game's own.
+ * Both columns are printed side by side, along with whether the two runs ended
+ * the same way, which they should.
+ */
+
+import { performance } from 'perf_hooks';
+import * as CANNON from 'cannon-es';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { getAimAt } from '../src/simulation/Launch.js';
+import { LEVELS } from '../src/levels/index.js';
+
+// Keep the game's per-hit logging out of the results
+const log = console.log;
+console.log = () => {};
+
+// naive: swap the game's broadphase for cannon's NaiveBroadphase
+function benchmarkLevel(levelNumber, naive) {
+    const sim = new Simulation(levelNumber);
+    if (naive) {
+        sim.physicsWorld.world.broadphase = new CANNON.NaiveBroadphase();
+        sim.physicsWorld.world.broadphase.setWorld(sim.physicsWorld.world);
+    }
+
+    const times = [];
+    const timeSteps = seconds => {
+        const steps = Math.round(seconds * 60);
+        for (let i = 0; i < steps; i++) {
+            const start = performance.now();
+            sim.step();
+            times.push(performance.now() - start);
+        }
+    };
+
+    timeSteps(2);
+    const aims = sim.level.buildings.filter(b => !b.isIndestructible).slice(0, 3).map(b => getAimAt(b.body.position, 28));
+    aims.forEach(aim => {
+        sim.fire(aim.aimAngleH, aim.aimAngleV, aim.power);
+        timeSteps(sim.shotDuration);
+    });
+
+    times.sort((a, b) => a - b);
+    return {
+        level: levelNumber,
+        name: sim.level.name,
+        bodies: sim.physicsWorld.getBodyCount(),
+        steps: times.length,
+        meanMs: times.reduce((sum, t) => sum + t, 0) / times.length,
+        p95Ms: times[Math.floor(times.length * 0.95)],
+        maxMs: times[times.length - 1],
+        result: JSON.stringify(sim.getResult())
+    };
+}
+
+// One untimed run of each first so the JIT warming up isn't counted against level 1
+benchmarkLevel(1, true);
+benchmarkLevel(1, false);
+const results = LEVELS.map((data, i) => ({
+    naive: benchmarkLevel(i + 1, true),
+    grid: benchmarkLevel(i + 1, false)
+}));
+
+console.log = log;
+
+const ms = value => value.toFixed(3).padStart(7);
+console.log('Step time per level (ms), NaiveBroadphase before and SpatialBroadphase after');
+console.log('                       ---- Naive -----   ---- Spatial ---');
+console.log('Level  Bodies  Steps     Mean      p95      Mean      p95   Speedup  Same  Name');
+results.forEach(({ naive, grid }) => {
+    console.log(`${String(grid.level).padStart(5)}  ${String(grid.bodies).padStart(6)}  ${String(grid.steps).padStart(5)}  ` +
+        `${ms(naive.meanMs)}  ${ms(naive.p95Ms)}   ${ms(grid.meanMs)}  ${ms(grid.p95Ms)}  ` +
+        `${(naive.meanMs / grid.meanMs).toFixed(2).padStart(7)}x  ${naive.result === grid.result ? 'yes ' : 'NO  '}  ${grid.name}`);
+});
+const average = key => results.reduce((sum, r) => sum + r[key].meanMs, 0) / results.length;
+console.log(`Average mean step: ${average('naive').toFixed(3)} ms before, ${average('grid').toFixed(3)} ms after`);
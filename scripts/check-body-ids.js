@@ -0,0 +1,60 @@
+/**
+ * Check that a replay verifies the same however long the process has been running
+ *
+ * Usage: npm run check:body-ids
+ *
+ * Cannon numbers bodies from a counter shared by the whole process, and the API
+ * verifies every submitted run in one long-lived process. This plays a three-shot
+ * replay of each shipped level in a fresh process, then again with the counters
+ * pushed past what cannon's contact keys can hold, and fails if any result differs.
+ */
+
+import * as CANNON from 'cannon-es';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { ReplayFormat } from '../src/simulation/ReplayFormat.js';
+import { getAimAt, SHOT_DURATION } from '../src/simulation/Launch.js';
+import { FIXED_TIME_STEP } from '../src/PhysicsWorld.js';
+import { LEVELS } from '../src/levels/index.js';
+
+// Well past 65535, the largest body id cannon can pair up
+const HIGH_ID_COUNTER = 100000;
+
+// Keep the game's per-hit logging out of the results
+const log = console.log;
+console.log = () => {};
+
+// Settle for 2 seconds, then fire at the first three buildings as soon as the catapult is ready
+function createReplay(levelNumber) {
+    const replay = ReplayFormat.create(levelNumber);
+    const sim = new Simulation(levelNumber);
+    const reloadTicks = Math.round(SHOT_DURATION / FIXED_TIME_STEP);
+
+    sim.level.buildings.filter(b => !b.isIndestructible).slice(0, 3).forEach((building, i) => {
+        const aim = getAimAt(building.body.position, 28);
+        ReplayFormat.addShot(replay, 120 + i * reloadTicks, aim.aimAngleH, aim.aimAngleV, aim.power);
+    });
+    return replay;
+}
+
+function verify(replay) {
+    try {
+        return JSON.stringify(new Simulation(replay.level).runReplay(replay));
+    } catch (error) {
+        return `${error.name}: ${error.message}`;
+    }
+}
+
+const replays = LEVELS.map((data, i) => createReplay(i + 1));
+const expected = replays.map(verify);
+
+CANNON.Body.idCounter = HIGH_ID_COUNTER;
+CANNON.Shape.idCounter = HIGH_ID_COUNTER;
+const failures = replays.filter((replay, i) => verify(replay) !== expected[i]);
+
+console.log = log;
+
+if (failures.length > 0) {
+    console.error(`Results changed with high body ids on levels ${failures.map(r => r.level).join(', ')}`);
+    process.exit(1);
+}
+console.log(`All ${replays.length} levels verify the same with body ids past ${HIGH_ID_COUNTER}`);
@@ -0,0 +1,42 @@
+/**
+ * Play a level headlessly and print the result
+ *
+ * Usage: npm run simulate -- <level number | level.json> <shots.json>
+ *        npm run simulate -- <run.replay.json>
+ *
+ * shots.json is an array of { "aimAngleH", "aimAngleV", "power" } shots,
+ * angles in radians (aimAngleH 1.5708 fires straight down +X). A replay saved
+ * from the game (see ReplayFormat) is played back on its recorded ticks.
+ */
+
+import { readFileSync } from 'fs';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { ReplayFormat } from '../src/simulation/ReplayFormat.js';
+
+const [levelArg, shotsFile] = process.argv.slice(2);
+if (!levelArg) {
+    console.error('Usage: npm run simulate -- <level number | level.json> <shots.json>');
+    console.error('       npm run simulate -- <run.replay.json>');
+    process.exit(1);
+}
+
+// Keep the game's per-hit logging out of the result
+const log = console.log;
+console.log = () => {};
+
+let result;
+if (!shotsFile) {
+    const replay = ReplayFormat.parse(readFileSync(levelArg, 'utf8'));
+    if (!ReplayFormat.isCurrent(replay)) {
+        console.error(`Replay format version ${replay.version} was recorded by an older version of the game and may play out differently`);
+    }
+    result = new Simulation(replay.level).runReplay(replay);
+} else {
+    const level = /^\d+$/.test(levelArg) ? Number(levelArg) : JSON.parse(readFileSync(levelArg, 'utf8'));
+    const shots = JSON.parse(readFileSync(shotsFile, 'utf8'));
+    result = new Simulation(level).run(shots);
+}
+
+console.log = log;
+
+console.log(JSON.stringify(result, null, 2));
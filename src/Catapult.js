@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { MIN_AIM_ANGLE_V, MAX_AIM_ANGLE_V, getLaunchPosition, getLaunchVelocity } from './simulation/Launch.js';
 
 export class Catapult {
     constructor(scene, position) {
@@ -12,8 +13,8 @@ export class Catapult {
         this.bucket = null;
         this.loadedBall = null; // The ball sitting in the catapult
         
-        this.minVerticalAngle = 0.1; // Minimum ~6 degrees above horizontal (realistic catapult limit)
-        this.maxVerticalAngle = Math.PI / 2 - 0.01; // Nearly straight up (~89 degrees)
+        this.minVerticalAngle = MIN_AIM_ANGLE_V; // Minimum ~6 degrees above horizontal (realistic catapult limit)
+        this.maxVerticalAngle = MAX_AIM_ANGLE_V; // Nearly straight up (~89 degrees)
         
         this.create();
     }
@@ -289,24 +290,13 @@ export class Catapult {
     }
     
     getProjectileStartPosition() {
-        // Calculate world position of the bucket
-        const bucketWorldPos = new THREE.Vector3();
-        this.bucket.getWorldPosition(bucketWorldPos);
-        return bucketWorldPos;
+        // World position of the bucket (worked out from the aim so the headless simulation agrees)
+        return new THREE.Vector3().copy(getLaunchPosition(this.aimAngleH, this.aimAngleV, this.position));
     }
     
     getProjectileVelocity(power) {
-        // Calculate velocity direction based on aim angles
-        const direction = new THREE.Vector3(
-            Math.sin(this.aimAngleH) * Math.cos(this.aimAngleV),
-            Math.sin(this.aimAngleV),
-            Math.cos(this.aimAngleH) * Math.cos(this.aimAngleV)
-        );
-        
-        direction.normalize();
-        direction.multiplyScalar(power);
-        
-        return direction;
+        // Velocity along the aim direction
+        return new THREE.Vector3().copy(getLaunchVelocity(this.aimAngleH, this.aimAngleV, power));
     }
     
     createLoadedBall(armGroup) {
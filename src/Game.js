@@ -1,13 +1,18 @@
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
-import { PhysicsWorld } from './PhysicsWorld.js';
+import { PhysicsWorld, FIXED_TIME_STEP } from './PhysicsWorld.js';
 import { Catapult } from './Catapult.js';
 import { TrajectoryPreview } from './TrajectoryPreview.js';
+import { GhostTrails } from './GhostTrails.js';
 import { Level } from './Level.js';
+import { VICTORY_CHECK_DELAY } from './simulation/LevelModel.js';
+import { LEVELS } from './levels/index.js';
 import { Projectile } from './objects/Projectile.js';
+import { CATAPULT_POSITION, MIN_POWER, MAX_POWER, SHOT_DURATION, getShotSpin } from './simulation/Launch.js';
 import { ProceduralTextures } from './utils/ProceduralTextures.js';
 import { SaveSystem } from './utils/SaveSystem.js';
 import { LeaderboardService } from './utils/LeaderboardService.js';
+import { ReplayFormat } from './simulation/ReplayFormat.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
 
 // ==========================================
 // 🎨 LEVEL CREATOR TOGGLE
@@ -28,10 +33,11 @@ export class Game {
         this.physicsWorld = null;
         this.catapult = null;
         this.trajectory = null;
+        this.ghostTrails = null;
         this.level = null;
         
         // Game state
-        this.maxLevel = 10; // Total number of levels available
+        this.maxLevel = LEVELS.length; // Total number of levels available
         this.currentLevel = 1;
         this.ammo = 10;
         this.startingAmmo = 10;
@@ -39,15 +45,26 @@ export class Game {
         this.projectiles = [];
         this.activeProjectile = null;
         this.power = 15; // Adjustable power
-        this.minPower = 5;
-        this.maxPower = 35;
+        this.minPower = MIN_POWER;
+        this.maxPower = MAX_POWER;
+        this.stageSize = 75; // Half the ground size; boundary walls sit at +/- this on X and Z
         this.powerChangeRate = 10; // How fast power changes per second
         
+        // Fixed-step game clock (see update())
+        this.tick = 0; // Fixed steps since the level loaded
+        this.stepAccumulator = 0; // Frame time not yet simulated
+        this.shotResetTicks = 0; // Steps until the catapult reloads after a shot
+        this.victoryCheckDelayTicks = 0; // Steps until victory checking starts after a load
+        
         // Scoring tracking
         this.targetsDestroyed = 0;
         this.obstaclesDestroyed = 0;
         this.shotsUsed = 0;
         
+        // Replays
+        this.replay = null; // Shots fired since the level loaded (see ReplayFormat)
+        this.replayPlayer = null;
+        
         // Save system
         this.saveSystem = new SaveSystem();
         
@@ -57,6 +74,7 @@ export class Game {
         // Level creator
         this.levelCreator = null;
         this.levelCreatorActive = false;
+        this.isPlayTesting = false; // Playing a layout from the level creator
         
         // Reinitialization flag
         this.needsReinit = false;
@@ -168,11 +186,14 @@ export class Game {
         this.createBoundaryWalls();
         
         // Create catapult
-        this.catapult = new Catapult(this.scene, new THREE.Vector3(-8, 0.25, 0));
+        this.catapult = new Catapult(this.scene, new THREE.Vector3().copy(CATAPULT_POSITION));
         
         // Trajectory preview
         this.trajectory = new TrajectoryPreview(this.scene);
         
+        // Faded paths of the last few shots
+        this.ghostTrails = new GhostTrails(this.scene);
+        
         // Load selected level
         this.level = new Level(this.scene, this.physicsWorld, this.currentLevel);
         this.loadLevel();
@@ -180,6 +201,9 @@ export class Game {
         // Setup controls
         this.setupControls();
         
+        // Replay playback
+        this.replayPlayer = new ReplayPlayer(this);
+        
         // Initialize level creator (only if enabled)
         if (ENABLE_LEVEL_CREATOR) {
             try {
@@ -309,43 +333,7 @@ export class Game {
     
     createBoundaryWalls() {
         // Create invisible walls around the perimeter to keep objects on stage
-        const wallHeight = 50;  // Tall enough to catch flying objects
-        const wallThickness = 1;
-        const stageSize = 75;   // Half of ground size (150/2)
-        
-        // Create 4 walls (north, south, east, west)
-        const walls = [
-            // North wall (behind targets)
-            { 
-                position: new CANNON.Vec3(0, wallHeight/2, stageSize),
-                size: new CANNON.Vec3(stageSize, wallHeight/2, wallThickness/2)
-            },
-            // South wall (behind catapult)
-            { 
-                position: new CANNON.Vec3(0, wallHeight/2, -stageSize),
-                size: new CANNON.Vec3(stageSize, wallHeight/2, wallThickness/2)
-            },
-            // East wall (right side)
-            { 
-                position: new CANNON.Vec3(stageSize, wallHeight/2, 0),
-                size: new CANNON.Vec3(wallThickness/2, wallHeight/2, stageSize)
-            },
-            // West wall (left side)
-            { 
-                position: new CANNON.Vec3(-stageSize, wallHeight/2, 0),
-                size: new CANNON.Vec3(wallThickness/2, wallHeight/2, stageSize)
-            }
-        ];
-        
-        walls.forEach(wall => {
-            const wallBody = new CANNON.Body({
-                mass: 0,  // Static (immovable)
-                shape: new CANNON.Box(wall.size),
-                position: wall.position,
-                material: this.physicsWorld.objectMaterial
-            });
-            this.physicsWorld.addBody(wallBody);
-        });
+        this.physicsWorld.createBoundaryWalls(this.stageSize);
         
         console.log('🧱 Invisible boundary walls created');
     }
@@ -481,6 +469,7 @@ export class Game {
             if (child.isLight || 
                 child === this.catapult?.group ||  // Fixed: catapult uses 'group' not 'mesh'
                 child === this.trajectory?.line ||
+                child === this.ghostTrails?.group ||
                 child.name === 'ground' ||
                 child.name === 'path' ||
                 child.name === 'ferns' ||
@@ -594,6 +583,9 @@ export class Game {
                 return;
             }
             
+            // Replay playback has its own Space/R/ESC keys
+            if (this.replayPlayer?.isActive && this.replayPlayer.handleKey(e)) return;
+            
             // Arrow keys for aiming the catapult
             if (e.code === 'ArrowUp') {
                 e.preventDefault();
@@ -656,6 +648,26 @@ export class Game {
                 console.log(`\nDegrees: pitch=${(this.cameraAngle * 180 / Math.PI).toFixed(1)}°, yaw=${(this.cameraYaw * 180 / Math.PI).toFixed(1)}°`);
             }
             
+            // V to load a replay file
+            if (e.code === 'KeyV' && !this.needsReinit && !this.isTypingTarget(e.target)) {
+                e.preventDefault();
+                this.replayPlayer.openFile();
+            }
+            
+            // G to show/hide this level's ghost trails, C to clear them (not while typing a G or C)
+            const typing = this.isTypingTarget(e.target);
+            if (e.code === 'KeyG' && !typing) {
+                e.preventDefault();
+                const enabled = this.ghostTrails.toggle();
+                this.updateUI();
+                console.log(`👻 Ghost trails ${enabled ? 'on' : 'off'} for this level`);
+            }
+            if (e.code === 'KeyC' && !typing) {
+                e.preventDefault();
+                this.ghostTrails.clear();
+                console.log('👻 Ghost trails cleared');
+            }
+            
             // R to reset level
             if (e.code === 'KeyR') {
                 e.preventDefault();
@@ -707,6 +719,12 @@ export class Game {
         // Don't process if level creator is active
         if (this.levelCreatorActive) return;
         
+        // Replays aim the catapult themselves
+        if (this.replayPlayer?.isActive) {
+            this.trajectory.hide();
+            return;
+        }
+        
         // Update catapult aim based on arrow key input
         let angleChanged = false;
         
@@ -735,11 +753,16 @@ export class Game {
         if (!this.activeProjectile && !this.cameraFollowMode) {
             const startPos = this.catapult.getProjectileStartPosition();
             const velocity = this.catapult.getProjectileVelocity(this.power);
-            this.trajectory.update(startPos, velocity);
+            this.trajectory.update(startPos, velocity, undefined, this.physicsWorld.getWind());
             this.trajectory.show();
         }
     }
     
+    // Whether a key press is going into a text field (like the nickname entry) rather than the game
+    isTypingTarget(target) {
+        return target?.tagName === 'INPUT' || target?.tagName === 'TEXTAREA' || !!target?.isContentEditable;
+    }
+    
     updateCameraLookDirection() {
         // Calculate look direction based on yaw and pitch angles
         const lookDirection = new THREE.Vector3(
@@ -824,11 +847,21 @@ export class Game {
     }
     
     fire() {
-        // Don't fire if level creator is active
-        if (this.levelCreatorActive) return;
+        // Don't fire if level creator is active or a replay is playing
+        if (this.levelCreatorActive || this.replayPlayer?.isActive) return;
         
+        this.launchShot();
+    }
+    
+    // Fire at the catapult's current aim and power (the player's shots and replayed ones)
+    launchShot() {
         if (this.ammo <= 0 || this.activeProjectile) return;
         
+        // Record the shot for this run's replay (play tests and replays aren't recorded)
+        if (!this.isPlayTesting && !this.replayPlayer?.isActive) {
+            ReplayFormat.addShot(this.replay, this.tick, this.catapult.aimAngleH, this.catapult.aimAngleV, this.power);
+        }
+        
         // Track shot used
         this.shotsUsed++;
         
@@ -847,8 +880,10 @@ export class Game {
             this.scene,
             this.physicsWorld,
             startPos,
-            velocity
+            velocity,
+            getShotSpin(this.level.shotRandom)
         );
+        this.level.registerShot(projectile.body);
         
         this.projectiles.push(projectile);
         this.activeProjectile = projectile;
@@ -865,42 +900,79 @@ export class Game {
         
         console.log('🔥 Fired projectile! Velocity:', velocity);
         
-        // Auto-reset after projectile settles
-        setTimeout(() => {
-            this.activeProjectile = null;
-            this.cameraFollowMode = false;
-            this.loadCameraPreset(this.currentPresetIndex);
-            this.updateCameraLookDirection();
+        // Auto-reset after projectile settles (counted in fixed steps, see fixedUpdate())
+        this.shotResetTicks = Math.round(SHOT_DURATION / FIXED_TIME_STEP);
+    }
+    
+    reloadAfterShot() {
+        this.addGhostTrail(this.activeProjectile);
+        this.activeProjectile = null;
+        this.cameraFollowMode = false;
+        this.loadCameraPreset(this.currentPresetIndex);
+        this.updateCameraLookDirection();
+        
+        // Show ball again if we have ammo left
+        if (this.ammo > 0) {
+            this.catapult.showBall();
             
-            // Show ball again if we have ammo left
-            if (this.ammo > 0) {
-                this.catapult.showBall();
-                
-                // Show crosshair again
-                const crosshair = document.getElementById('crosshair');
-                if (crosshair) crosshair.style.display = 'block';
-            }
-        }, 5000);
+            // Show crosshair again
+            const crosshair = document.getElementById('crosshair');
+            if (crosshair) crosshair.style.display = 'block';
+        }
     }
     
     loadLevel() {
         const targetCount = this.level.load();
         console.log(`📊 Loaded Level ${this.currentLevel} with ${targetCount} targets`);
         
+        // Ammo comes from the level data
+        this.startingAmmo = this.level.ammo;
+        this.ammo = this.startingAmmo;
+        
+        // Show this level's ghost trails
+        this.ghostTrails.setLevel(this.currentLevel);
+        
         this.updateUI();
         
         // Reset victory flags
         this.victoryCheckEnabled = false;
         this.victoryShown = false;
         
-        // Enable victory checking after a short delay
-        setTimeout(() => {
-            this.victoryCheckEnabled = true;
-            console.log('✅ Victory checking enabled');
-        }, 500);
+        // Every run of the level starts from the same clock, and victory checking starts after a short delay
+        this.resetClock();
+        this.victoryCheckDelayTicks = Math.round(VICTORY_CHECK_DELAY / FIXED_TIME_STEP);
+        
+        // Start recording a new replay
+        this.replay = ReplayFormat.create(this.currentLevel);
+    }
+    
+    // Switch to a level by number and start it fresh
+    loadLevelNumber(levelNumber) {
+        if (levelNumber !== this.level.levelNumber) {
+            this.level.clear();
+            this.level = new Level(this.scene, this.physicsWorld, levelNumber);
+        }
+        this.currentLevel = levelNumber;
+        this.resetLevel();
+    }
+    
+    // Keep a shot's flight path as a ghost trail (replayed shots aren't the player's own)
+    addGhostTrail(projectile) {
+        if (!projectile || this.replayPlayer?.isActive) return;
+        
+        this.ghostTrails.add(projectile.path);
     }
     
     resetLevel() {
+        // A shot still in flight leaves its ghost for the next attempt
+        this.addGhostTrail(this.activeProjectile);
+        
+        // Restarting a play test rebuilds the editor layout instead of the level file
+        if (this.isPlayTesting && this.levelCreator) {
+            this.levelCreator.restartPlayTest();
+            return;
+        }
+        
         this.level.clear();
         this.projectiles.forEach(p => p.remove());
         this.projectiles = [];
@@ -921,11 +993,18 @@ export class Game {
     }
     
     returnToMainMenu() {
+        // Leaving a play test goes back to the editor
+        if (this.isPlayTesting && this.levelCreator) {
+            this.levelCreator.stopPlayTest();
+            return;
+        }
+        
         console.log('🏠 Returning to main menu - cleaning up game state...');
         console.log('📊 Before cleanup - Scene children:', this.scene.children.length, '| Physics bodies:', this.physicsWorld.getBodyCount());
         
         // Disable victory checking immediately
         this.victoryCheckEnabled = false;
+        this.resetClock();
         
         // Clean up current level
         if (this.level) {
@@ -1013,19 +1092,24 @@ export class Game {
     }
     
     calculateFinalScore() {
-        // New scoring formula: (targets destroyed + weighted obstacle score) / shots used
-        const destroyedCounts = this.level.getDestroyedCounts();
-        const targetsDestroyed = destroyedCounts.targets;
-        const obstacleScore = destroyedCounts.obstacleScore || 0;
-        
-        // Prevent division by zero
-        if (this.shotsUsed === 0) {
-            return 0;
-        }
+        // (targets destroyed + weighted obstacle score) / shots used, see LevelModel
+        return this.level.getFinalScore(this.shotsUsed);
+    }
+    
+    // Victory screen line for the shot that destroyed the most, explosions included (empty for a one-shot run)
+    getBestShotText() {
+        const shotKills = this.level.getShotKills();
+        if (shotKills.length < 2) return '';
+        
+        let best = 0;
+        shotKills.forEach((kills, i) => {
+            const total = kills.targets + kills.obstacles;
+            const bestTotal = shotKills[best].targets + shotKills[best].obstacles;
+            if (total > bestTotal) best = i;
+        });
         
-        // Use weighted obstacle score instead of just count
-        const finalScore = ((targetsDestroyed + obstacleScore) / this.shotsUsed) * 100;
-        return Math.round(finalScore * 10) / 10; // Round to 1 decimal place
+        const kills = shotKills[best];
+        return `<br>Best Shot: #${best + 1} (${kills.targets} targets, ${kills.obstacles} obstacles)`;
     }
     
     checkVictory() {
@@ -1044,17 +1128,20 @@ export class Game {
             console.log(`Targets: ${destroyedCounts.targets}, Obstacles: ${destroyedCounts.obstacles}, Shots: ${this.shotsUsed}`);
             console.log(`Final Score: ${finalScore}`);
             
-            // Save to local storage
-            this.saveSystem.updateLevel(
-                this.currentLevel,
-                finalScore,
-                destroyedCounts.targets,
-                destroyedCounts.obstacles,
-                this.shotsUsed
-            );
+            // Save to local storage (play tests don't count towards progress)
+            if (!this.isPlayTesting) {
+                this.saveSystem.updateLevel(
+                    this.currentLevel,
+                    finalScore,
+                    destroyedCounts.targets,
+                    destroyedCounts.obstacles,
+                    this.shotsUsed,
+                    this.replay
+                );
+            }
             
-            const levelData = this.saveSystem.getLevelData(this.currentLevel);
-            const isNewHighScore = finalScore === levelData.highScore;
+            const levelData = this.isPlayTesting ? {} : this.saveSystem.getLevelData(this.currentLevel);
+            const isNewHighScore = !this.isPlayTesting && finalScore === levelData.highScore;
             
             // Show victory screen
             setTimeout(() => {
@@ -1063,7 +1150,9 @@ export class Game {
                 const titleEl = gameOverScreen.querySelector('h1');
                 
                 // Special message for completing final level
-                if (this.currentLevel === this.maxLevel) {
+                if (this.isPlayTesting) {
+                    titleEl.textContent = '▶️ Play Test Complete!';
+                } else if (this.currentLevel === this.maxLevel) {
                     titleEl.textContent = isNewHighScore ? '🎊 GAME COMPLETED! NEW HIGH SCORE! 🎊' : '🎊 ALL LEVELS COMPLETED! 🎊';
                 } else {
                     titleEl.textContent = isNewHighScore ? '🏆 NEW HIGH SCORE!' : 'Level Complete!';
@@ -1074,7 +1163,7 @@ export class Game {
                         <div style="font-size: 16px; opacity: 0.9;">
                             Targets Destroyed: ${destroyedCounts.targets}<br>
                             Obstacles Destroyed: ${destroyedCounts.obstacles}<br>
-                            Shots Used: ${this.shotsUsed} / ${this.startingAmmo}
+                            Shots Used: ${this.shotsUsed} / ${this.startingAmmo}${this.getBestShotText()}
                         </div>
                         ${levelData.highScore ? `<div style="margin-top: 15px; font-size: 14px; opacity: 0.7;">Previous High Score: ${levelData.highScore}</div>` : ''}
                     </div>
@@ -1084,7 +1173,7 @@ export class Game {
                 
                 // Setup buttons with proper event handlers - use requestAnimationFrame to ensure DOM is ready
                 requestAnimationFrame(() => {
-                    this.setupGameOverButtons(true);
+                    this.setupGameOverButtons(!this.isPlayTesting);
                 });
             }, 1000);
         } else if (this.ammo === 0 && !this.activeProjectile) {
@@ -1128,6 +1217,8 @@ export class Game {
         const nextLevelBtn = document.getElementById('next-level-btn');
         const retryLevelBtn = document.getElementById('retry-level-btn');
         const menuBtn = document.getElementById('menu-btn');
+        const watchReplayBtn = document.getElementById('watch-replay-btn');
+        const saveReplayBtn = document.getElementById('save-replay-btn');
         
         console.log('Button elements found:', {
             gameOverScreen: !!gameOverScreen,
@@ -1150,6 +1241,27 @@ export class Game {
             nextLevelBtn.style.display = 'none';
         }
         
+        // Replay buttons, if this run has shots to replay (play tests aren't recorded)
+        const replay = this.replay;
+        const hasReplay = !this.isPlayTesting && replay && replay.shots.length > 0;
+        if (watchReplayBtn && saveReplayBtn) {
+            watchReplayBtn.style.display = hasReplay ? 'inline-block' : 'none';
+            saveReplayBtn.style.display = hasReplay ? 'inline-block' : 'none';
+            
+            watchReplayBtn.onclick = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                gameOverScreen.style.display = 'none';
+                this.replayPlayer.start(replay);
+            };
+            
+            saveReplayBtn.onclick = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.replayPlayer.save(replay);
+            };
+        }
+        
         // Use onclick to ensure only one handler exists
         nextLevelBtn.onclick = (e) => {
             e.preventDefault();
@@ -1186,12 +1298,16 @@ export class Game {
         const submitBtn = document.getElementById('nickname-submit-btn');
         const cancelBtn = document.getElementById('nickname-cancel-btn');
         
-        // Calculate total score from localStorage
-        const totalStats = this.saveSystem.getTotalStats();
-        const totalScore = totalStats.totalHighScore;
-        const levelsCompleted = totalStats.levelsCompleted;
+        // Calculate total score from the replayed runs in localStorage (the server re-plays them to check)
+        const runs = this.saveSystem.getLeaderboardRuns();
+        const totalScore = runs.reduce((sum, run) => sum + run.score, 0);
+        const levelsCompleted = runs.length;
+        const unreplayed = this.saveSystem.getTotalStats().levelsCompleted - levelsCompleted;
         
         scoreDisplay.textContent = `Total Score: ${totalScore.toFixed(1)} (${levelsCompleted}/10 levels)`;
+        if (unreplayed > 0) {
+            scoreDisplay.textContent += ` - complete ${unreplayed} older level${unreplayed > 1 ? 's' : ''} again to count them`;
+        }
         
         // Clear previous input
         nicknameInput.value = '';
@@ -1233,17 +1349,15 @@ export class Game {
             submitBtn.disabled = true;
             submitBtn.textContent = 'Submitting...';
             
-            // Get total score from localStorage
-            const totalStats = this.saveSystem.getTotalStats();
-            
             // Get or create device ID
             const deviceId = this.getOrCreateDeviceId();
             
             const result = await this.leaderboardService.submitScore(
                 nickname,
-                totalStats.totalHighScore,
-                totalStats.levelsCompleted,
-                deviceId
+                totalScore,
+                levelsCompleted,
+                deviceId,
+                runs
             );
             
             submitBtn.disabled = false;
@@ -1362,6 +1476,8 @@ export class Game {
         document.getElementById('score').textContent = currentScore.toFixed(1);
         document.getElementById('level').textContent = this.currentLevel;
         document.getElementById('power').textContent = Math.round(this.power);
+        document.getElementById('ghosts').textContent = this.ghostTrails.isEnabled() ? 'On' : 'Off';
+        this.updateWindUI();
         
         // Show high score if available
         const highScore = this.saveSystem.getHighScore(this.currentLevel);
@@ -1374,9 +1490,36 @@ export class Game {
         }
     }
     
+    // Wind strength, and an arrow pointing where it blows with downrange (+X) as up
+    updateWindUI() {
+        const wind = this.physicsWorld.getWind();
+        const strength = Math.hypot(wind.x, wind.z);
+        const text = strength < 0.05 ? 'Calm' : strength.toFixed(1);
+        const angle = Math.round(Math.atan2(wind.z, wind.x) * 180 / Math.PI);
+        
+        // Only touch the DOM when what's shown changes
+        const windEl = document.getElementById('wind');
+        if (!windEl || windEl.dataset.shown === `${text} ${angle}`) return;
+        windEl.dataset.shown = `${text} ${angle}`;
+        windEl.textContent = text;
+        
+        const arrowEl = document.getElementById('wind-arrow');
+        arrowEl.style.visibility = text === 'Calm' ? 'hidden' : 'visible';
+        arrowEl.style.transform = `rotate(${angle}deg)`;
+    }
+    
     update(deltaTime) {
-        // Step physics
-        this.physicsWorld.step(deltaTime);
+        // Run the game rules in fixed steps; frame time left over carries into the next frame
+        // (replays can pause or change speed)
+        const timeScale = this.replayPlayer?.isActive ? this.replayPlayer.getTimeScale() : 1;
+        this.stepAccumulator += deltaTime * timeScale;
+        while (this.stepAccumulator >= FIXED_TIME_STEP) {
+            this.fixedUpdate();
+            this.stepAccumulator -= FIXED_TIME_STEP;
+        }
+        
+        // Gusts change the wind between other UI updates
+        this.updateWindUI();
         
         // Update catapult aiming with arrow keys
         this.updateAimWithArrowKeys(deltaTime);
@@ -1384,13 +1527,14 @@ export class Game {
         // Update camera position (WASD/QE movement)
         this.updateCameraPosition(deltaTime);
         
-        // Update power (smooth adjustment with [ ] keys)
+        // Update power (smooth adjustment with [ ] keys; replays set the power of each shot)
         let powerChanged = false;
-        if (this.keys.powerIncrease) {
+        const canAdjustPower = !this.replayPlayer?.isActive;
+        if (canAdjustPower && this.keys.powerIncrease) {
             this.power = Math.min(this.maxPower, this.power + this.powerChangeRate * deltaTime);
             powerChanged = true;
         }
-        if (this.keys.powerDecrease) {
+        if (canAdjustPower && this.keys.powerDecrease) {
             this.power = Math.max(this.minPower, this.power - this.powerChangeRate * deltaTime);
             powerChanged = true;
         }
@@ -1398,31 +1542,11 @@ export class Game {
             this.updateUI();
         }
         
-        // Update level (targets and buildings)
-        this.level.update(deltaTime);
-        
         // Update level creator (if active)
         if (this.levelCreator && this.levelCreatorActive) {
             this.levelCreator.update(deltaTime);
         }
         
-        // Update projectiles
-        this.projectiles.forEach(projectile => {
-            projectile.update(deltaTime);
-            
-            // Check collisions with targets
-            if (projectile.isActive) {
-                const scoreGained = this.level.checkCollisions(projectile);
-                if (scoreGained > 0) {
-                    this.score += scoreGained;
-                    this.updateUI();
-                }
-            }
-        });
-        
-        // Remove inactive projectiles
-        this.projectiles = this.projectiles.filter(p => p.isActive);
-        
         // Camera follow mode for projectile tracking
         if (this.cameraFollowMode && this.activeProjectile && this.activeProjectile.isActive) {
             // Follow active projectile
@@ -1433,9 +1557,61 @@ export class Game {
             this.camera.position.copy(this.cameraPosition);
             this.camera.lookAt(projectilePos.x, projectilePos.y, projectilePos.z);
         }
+    }
+    
+    // One fixed step of the game rules, in the same order as Simulation.step()
+    fixedUpdate() {
+        // Fire replayed shots on the ticks they were recorded on
+        if (this.replayPlayer?.isActive) {
+            this.replayPlayer.fireDueShots();
+        }
         
-        // Check victory condition
-        this.checkVictory();
+        // Step physics
+        this.physicsWorld.step();
+        
+        // Update level (targets and buildings)
+        this.level.update(FIXED_TIME_STEP);
+        
+        // Targets knocked out by the projectile, falling objects and debris
+        const impactScore = this.level.collectImpactScore();
+        if (impactScore > 0) {
+            this.score += impactScore;
+            this.updateUI();
+        }
+        
+        // Update projectiles
+        this.projectiles.forEach(projectile => projectile.update(FIXED_TIME_STEP));
+        
+        // Remove inactive projectiles
+        this.projectiles = this.projectiles.filter(p => p.isActive);
+        
+        this.tick++;
+        
+        // Reload once the last shot has played out
+        if (this.shotResetTicks > 0 && --this.shotResetTicks === 0) {
+            this.reloadAfterShot();
+        }
+        
+        // Start checking for victory shortly after the level loads
+        if (this.victoryCheckDelayTicks > 0 && --this.victoryCheckDelayTicks === 0) {
+            this.victoryCheckEnabled = true;
+            console.log('✅ Victory checking enabled');
+        }
+        
+        // Check victory condition (a replay just reports how the run finished)
+        if (this.replayPlayer?.isActive) {
+            this.replayPlayer.checkFinished();
+        } else {
+            this.checkVictory();
+        }
+    }
+    
+    // Restart the fixed-step clock and cancel its countdowns (reload, victory check)
+    resetClock() {
+        this.tick = 0;
+        this.stepAccumulator = 0;
+        this.shotResetTicks = 0;
+        this.victoryCheckDelayTicks = 0;
     }
     
     start() {
@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+
+/**
+ * GhostTrails - Faded lines showing where the last few shots on a level went
+ *
+ * Paths are kept per level for the session, so they carry over when the level is
+ * restarted. Ghosts can be switched off level by level; that choice is saved.
+ */
+export class GhostTrails {
+    constructor(scene, maxTrails = 5) {
+        this.scene = scene;
+        this.maxTrails = maxTrails;
+        this.storageKey = 'castleCrasher_ghostTrails';
+        this.paths = new Map(); // Level key -> flight paths, oldest first
+        this.hiddenLevels = this.loadHiddenLevels();
+        this.levelKey = null;
+
+        this.group = new THREE.Group();
+        this.group.name = 'ghost-trails';
+        this.scene.add(this.group);
+    }
+
+    // Level keys with ghosts switched off, from localStorage
+    loadHiddenLevels() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                return new Set(JSON.parse(saved).hiddenLevels.map(String));
+            }
+        } catch (e) {
+            console.warn('Failed to load ghost trail settings:', e);
+        }
+        return new Set();
+    }
+
+    saveHiddenLevels() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ hiddenLevels: [...this.hiddenLevels] }));
+        } catch (e) {
+            console.error('Failed to save ghost trail settings:', e);
+        }
+    }
+
+    // Show the ghosts of another level (a level number, or any key for unnumbered layouts)
+    setLevel(levelKey) {
+        const key = String(levelKey);
+        if (key === this.levelKey) return;
+
+        this.levelKey = key;
+        this.rebuild();
+    }
+
+    // Add a shot's flight path (points with x/y/z) to the current level's ghosts
+    add(points) {
+        if (this.levelKey === null || points.length < 2) return;
+
+        const paths = this.paths.get(this.levelKey) || [];
+        paths.push(points.map(point => new THREE.Vector3(point.x, point.y, point.z)));
+
+        // Only the most recent shots are kept
+        while (paths.length > this.maxTrails) {
+            paths.shift();
+        }
+
+        this.paths.set(this.levelKey, paths);
+        this.rebuild();
+    }
+
+    // Forget the current level's ghosts
+    clear() {
+        this.paths.delete(this.levelKey);
+        this.rebuild();
+    }
+
+    // Switch the current level's ghosts on or off; returns whether they're now shown
+    toggle() {
+        if (this.hiddenLevels.has(this.levelKey)) {
+            this.hiddenLevels.delete(this.levelKey);
+        } else {
+            this.hiddenLevels.add(this.levelKey);
+        }
+        this.saveHiddenLevels();
+        this.rebuild();
+
+        return this.isEnabled();
+    }
+
+    isEnabled() {
+        return !this.hiddenLevels.has(this.levelKey);
+    }
+
+    show() {
+        this.group.visible = true;
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+
+    // Recreate the lines for the current level, older shots more faded
+    rebuild() {
+        this.group.children.slice().forEach(line => {
+            this.group.remove(line);
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+
+        if (!this.isEnabled()) return;
+
+        const paths = this.paths.get(this.levelKey) || [];
+        paths.forEach((points, index) => {
+            const age = paths.length - 1 - index; // 0 for the latest shot
+            const material = new THREE.LineBasicMaterial({
+                color: 0xffffff,
+                transparent: true,
+                opacity: 0.6 * Math.pow(0.7, age),
+                depthWrite: false
+            });
+
+            const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+            this.group.add(line);
+        });
+    }
+}
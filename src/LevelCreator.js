@@ -1,21 +1,96 @@
 import * as THREE from 'three';
+import { OBB } from 'three/examples/jsm/math/OBB.js';
+import { LevelFormat, LEVEL_FORMAT_VERSION, OVERRIDE_FIELDS } from './levels/LevelFormat.js';
+import { CommandHistory } from './utils/CommandHistory.js';
+import { PrefabLibrary, PREFAB_FORMAT_VERSION } from './utils/PrefabLibrary.js';
+import { DraftStore } from './utils/DraftStore.js';
+import { downloadJSON } from './utils/Download.js';
+import { SCENERY_TYPES } from './simulation/SceneryBodies.js';
+import { BUILDING_MATERIALS, getBuildingMaterial } from './simulation/Materials.js';
+
+// Physics body size of each target type (Target.js), used to rest targets on surfaces and validate layouts
+// (radius is set for cylinders)
+const TARGET_SHAPES = {
+    'basic': { size: { x: 1.6, y: 0.2, z: 1.6 }, radius: 0.8 },
+    'soldier': { size: { x: 0.8, y: 1.2, z: 0.8 }, radius: 0.4 },
+    'upgraded-soldier': { size: { x: 0.9, y: 1.3, z: 0.9 }, radius: 0.45 },
+    'loot': { size: { x: 0.8, y: 0.48, z: 0.56 }, radius: null },
+    'training-dummy': { size: { x: 1.6, y: 0.2, z: 1.6 }, radius: 0.8 }
+};
+
+// Layout validation tolerances (world units)
+const OVERLAP_TOLERANCE = 0.2;  // Pieces may sink this far into each other, as the shipped levels do
+const SUPPORT_TOLERANCE = 0.5;  // Largest gap under a piece that still counts as resting on something
+
+// Numeric per-object overrides shown in the properties panel (the body type has its own select)
+const PROPERTY_FIELDS = [
+    { key: 'hitPoints', label: 'Hit Points' },
+    { key: 'score', label: 'Score' },
+    { key: 'damageThreshold', label: 'Damage Threshold' },
+    { key: 'mass', label: 'Mass' },
+    { key: 'fragments', label: 'Fragments' }
+];
+
+// Settle preview: how long to run the physics, and how much change counts as moving or falling
+const SETTLE_SECONDS = 3;
+const SETTLE_MOVE_DISTANCE = 0.05;
+const SETTLE_MOVE_ANGLE = 2 * Math.PI / 180;
+const SETTLE_FALL_DROP = 0.5;
+const SETTLE_FALL_TILT = Math.PI / 4;
 
 export class LevelCreator {
     constructor(game) {
         this.game = game;
         this.isActive = false;
         this.placedObjects = [];
-        this.selectedObjectIndex = null;
+        this.selectedObjectIndex = null; // Primary selection (last clicked)
+        this.selectedObjects = [];       // Every selected placed object, including the primary
+        this.clipboard = [];
+        this.pasteCount = 0;
         this.currentType = 'building';
         this.currentBuildingType = 'wall';
         this.currentTargetType = 'basic';
+        this.currentSceneryType = 'tower';
+        this.sceneryParams = { ...SCENERY_TYPES.tower.params }; // Parameters for the next scenery asset
+        this.sceneryRotation = 0; // Radians around Y, applied when placing scenery
+        this.currentPrefab = null;
+        this.prefabRotation = 0; // Radians around Y, applied when placing a prefab
+        this.prefabs = new PrefabLibrary();
         this.gridSize = 1;
         this.ghostObject = null;
+        this.buildingShapes = {}; // Building sizes by type, measured from getBuildingGeometry()
+        this.dismissedLevelIssues = new Set(); // Level-wide validation issues the user chose to ignore
         this.highlightMesh = null;
+        this.selectionHighlights = []; // Highlights for the non-primary selected objects
+        this.boxSelect = null;
+        this.gizmo = null;        // Translate/rotate handles around the selection
+        this.gizmoDrag = null;
+        this.suppressClick = false; // Set after a drag so the trailing click doesn't change the selection
         this.baseX = 25;
+        this.isPlayTesting = false;
+        this.playTest = null; // Editor state saved while play-testing
+        this.settlePreview = null; // Map of placed object -> settle result while the settled layout is shown
+        
+        // Level settings carried through export (taken from the imported level or file)
+        this.levelSettings = { name: '', ammo: 10, scenerySeed: 12345, wind: null };
+        
+        // Undo/redo for every change to placedObjects
+        this.history = new CommandHistory();
+        
+        // Every change is autosaved so work survives a refresh
+        this.drafts = new DraftStore();
         
         this.createUI();
         this.setupControls();
+        
+        this.history.onChange = () => {
+            this.clearSettlePreview();
+            this.updateObjectsList();
+            this.updateHistoryButtons();
+            this.autosave();
+        };
+        this.updateHistoryButtons();
+        this.updateDraftList();
     }
     
     createUI() {
@@ -47,6 +122,8 @@ export class LevelCreator {
                 <select id="creator-object-type" style="width: 100%; padding: 5px; background: #333; color: white; border: 1px solid #555;">
                     <option value="building">Building</option>
                     <option value="target">Target</option>
+                    <option value="prefab">Prefab</option>
+                    <option value="scenery">Scenery</option>
                 </select>
             </div>
             
@@ -57,6 +134,7 @@ export class LevelCreator {
                     <option value="tower">Tower</option>
                     <option value="castle">Castle</option>
                     <option value="platform">Platform</option>
+                    <option value="explosive-barrel">Explosive Barrel</option>
                     <option value="indestructible-wall">Indestructible Wall</option>
                     <option value="indestructible-tower">Indestructible Tower</option>
                     <option value="indestructible-platform">Indestructible Platform</option>
@@ -76,6 +154,29 @@ export class LevelCreator {
                 </select>
             </div>
             
+            <div id="prefab-types" style="margin-bottom: 15px; display: none;">
+                <label style="display: block; margin-bottom: 5px;">Prefab:</label>
+                <select id="creator-prefab" style="width: 100%; padding: 5px; background: #333; color: white; border: 1px solid #555;"></select>
+                <label style="display: block; margin: 5px 0;">Prefab Rotation (°):</label>
+                <input type="number" id="creator-prefab-rotation" value="0" step="15" style="width: 100%; padding: 5px; background: #333; color: white; border: 1px solid #555;">
+                <div style="display: flex; gap: 5px; margin-top: 5px;">
+                    <button id="creator-prefab-export" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">📤 Export</button>
+                    <button id="creator-prefab-import" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">📥 Import</button>
+                    <button id="creator-prefab-delete" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">🗑️ Delete</button>
+                </div>
+                <input type="file" id="creator-prefab-file-input" accept=".json,application/json" style="display: none;">
+            </div>
+            
+            <div id="scenery-types" style="margin-bottom: 15px; display: none;">
+                <label style="display: block; margin-bottom: 5px;">Scenery:</label>
+                <select id="creator-scenery-type" style="width: 100%; padding: 5px; background: #333; color: white; border: 1px solid #555;">
+                    ${Object.entries(SCENERY_TYPES).map(([type, definition]) => `<option value="${type}">${definition.label}</option>`).join('')}
+                </select>
+                <div id="creator-scenery-params"></div>
+                <label style="display: block; margin: 5px 0;">Scenery Rotation (°):</label>
+                <input type="number" id="creator-scenery-rotation" value="0" step="15" style="width: 100%; padding: 5px; background: #333; color: white; border: 1px solid #555;">
+            </div>
+            
             <div style="margin-bottom: 15px;">
                 <label style="display: block; margin-bottom: 5px;">Base X Position:</label>
                 <input type="number" id="creator-base-x" value="25" step="5" style="width: 100%; padding: 5px; background: #333; color: white; border: 1px solid #555;">
@@ -88,7 +189,9 @@ export class LevelCreator {
             
             <div style="margin-bottom: 15px; padding: 10px; background: #222; border-radius: 5px;">
                 <strong>Controls:</strong><br>
-                • Click list item to select<br>
+                • Click object or list item to select<br>
+                • Shift+Click or Shift+Drag to multi-select<br>
+                • Drag gizmo arrows to move, rings to rotate<br>
                 • Ctrl+Click ground to place<br>
                 • Delete/Backspace to remove<br>
                 • Arrow keys to move selected<br>
@@ -98,16 +201,97 @@ export class LevelCreator {
                 • T/G rotate Z (roll) 15°<br>
                 • Shift for 45° rotation<br>
                 • H to toggle grid<br>
-                • Ctrl+C to clear all
+                • Ctrl+C / Ctrl+V to copy / paste<br>
+                • Q/E etc. rotate a multi-selection as a group<br>
+                • Ctrl+Z undo, Ctrl+Shift+Z redo<br>
+                • Drop a .json level file to load it
+            </div>
+            
+            <div style="margin-bottom: 10px; padding: 10px; background: #222; border-radius: 5px;">
+                <strong id="creator-selection-count">Selection (0)</strong>
+                <div style="display: flex; gap: 5px; margin-top: 5px;">
+                    <button id="creator-copy" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">📄 Copy</button>
+                    <button id="creator-paste" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">📋 Paste</button>
+                </div>
+                <div style="display: flex; gap: 5px; margin-top: 5px;">
+                    <button id="creator-mirror-x" title="Mirror across the X axis (flips Z)" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">↕️ Mirror X</button>
+                    <button id="creator-mirror-z" title="Mirror across the Z axis at Base X (flips X)" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">↔️ Mirror Z</button>
+                </div>
+                <button id="creator-save-prefab" style="width: 100%; margin-top: 5px; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">⭐ Save as Prefab</button>
+            </div>
+            
+            <div id="creator-properties" style="display: none; margin-bottom: 10px; padding: 10px; background: #222; border-radius: 5px;">
+                <strong>Properties:</strong> <span style="font-size: 11px; opacity: 0.7;">(blank = type default)</span>
+                ${PROPERTY_FIELDS.map(field => `
+                <div style="display: flex; align-items: center; gap: 5px; margin-top: 5px;">
+                    <label for="creator-prop-${field.key}" style="flex: 1;">${field.label}:</label>
+                    <input type="number" id="creator-prop-${field.key}" data-property="${field.key}" min="0" style="width: 80px; padding: 3px; background: #333; color: white; border: 1px solid #555;">
+                </div>`).join('')}
+                <div style="display: flex; align-items: center; gap: 5px; margin-top: 5px;">
+                    <label for="creator-prop-static" style="flex: 1;">Body:</label>
+                    <select id="creator-prop-static" style="width: 88px; padding: 3px; background: #333; color: white; border: 1px solid #555;">
+                        <option value="">Default</option>
+                        <option value="dynamic">Dynamic</option>
+                        <option value="static">Static</option>
+                    </select>
+                </div>
+                <div id="creator-prop-material-row" style="display: flex; align-items: center; gap: 5px; margin-top: 5px;">
+                    <label for="creator-prop-material" style="flex: 1;">Material:</label>
+                    <select id="creator-prop-material" style="width: 88px; padding: 3px; background: #333; color: white; border: 1px solid #555;">
+                        <option value="">Default</option>
+                        ${Object.entries(BUILDING_MATERIALS).map(([name, material]) => `<option value="${name}">${material.label}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            
+            <div style="margin-bottom: 10px; padding: 10px; background: #222; border-radius: 5px;">
+                <strong>Draft:</strong>
+                <select id="creator-draft" style="width: 100%; margin-top: 5px; padding: 5px; background: #333; color: white; border: 1px solid #555;"></select>
+                <div style="display: flex; gap: 5px; margin-top: 5px;">
+                    <button id="creator-draft-new" title="Save the current layout as a new draft" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">➕</button>
+                    <button id="creator-draft-rename" title="Rename draft" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">✏️</button>
+                    <button id="creator-draft-duplicate" title="Duplicate draft" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">📑</button>
+                    <button id="creator-draft-delete" title="Delete draft" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">🗑️</button>
+                </div>
+                <div id="creator-autosave-status" style="margin-top: 5px; font-size: 11px; opacity: 0.7;">Not saved yet</div>
+            </div>
+            
+            <div style="display: flex; gap: 5px; margin-bottom: 5px;">
+                <button id="creator-undo" style="flex: 1; padding: 8px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+                    ↩️ Undo
+                </button>
+                <button id="creator-redo" style="flex: 1; padding: 8px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+                    ↪️ Redo
+                </button>
+            </div>
+            
+            <div style="margin-bottom: 10px; padding: 10px; background: #222; border-radius: 5px;">
+                <button id="creator-settle" title="Run the physics for a few seconds and show what moves" style="width: 100%; padding: 8px; background: #795548; color: white; border: none; border-radius: 5px; cursor: pointer; font-weight: bold;">
+                    🧱 Settle
+                </button>
+                <div id="creator-settle-result" style="display: none; margin-top: 5px;">
+                    <div id="creator-settle-summary" style="font-size: 11px; margin-bottom: 5px;"></div>
+                    <div style="display: flex; gap: 5px;">
+                        <button id="creator-settle-apply" title="Move objects to where they came to rest" style="flex: 1; padding: 6px; background: #4CAF50; color: white; border: none; border-radius: 5px; cursor: pointer;">✅ Apply</button>
+                        <button id="creator-settle-discard" style="flex: 1; padding: 6px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">↩️ Discard</button>
+                    </div>
+                </div>
             </div>
             
             <div style="margin-bottom: 10px;">
+                <button id="creator-play" style="width: 100%; padding: 10px; background: #9C27B0; color: white; border: none; border-radius: 5px; cursor: pointer; font-weight: bold; margin-bottom: 5px;">
+                    ▶️ Play Test
+                </button>
                 <button id="creator-import" style="width: 100%; padding: 10px; background: #2196F3; color: white; border: none; border-radius: 5px; cursor: pointer; font-weight: bold; margin-bottom: 5px;">
                     📥 Import Current Level
                 </button>
                 <button id="creator-export" style="width: 100%; padding: 10px; background: #4CAF50; color: white; border: none; border-radius: 5px; cursor: pointer; font-weight: bold; margin-bottom: 5px;">
-                    📋 Export Code
+                    💾 Export Level File
+                </button>
+                <button id="creator-load-file" style="width: 100%; padding: 10px; background: #FF9800; color: white; border: none; border-radius: 5px; cursor: pointer; font-weight: bold; margin-bottom: 5px;">
+                    📂 Load Level File
                 </button>
+                <input type="file" id="creator-file-input" accept=".json,application/json" style="display: none;">
                 <button id="creator-clear" style="width: 100%; padding: 10px; background: #f44336; color: white; border: none; border-radius: 5px; cursor: pointer; margin-bottom: 5px;">
                     🗑️ Clear All
                 </button>
@@ -125,6 +309,32 @@ export class LevelCreator {
         document.body.appendChild(container);
         this.ui = container;
         
+        // Bar shown instead of the panel while play-testing
+        const playBar = document.createElement('div');
+        playBar.id = 'creator-play-bar';
+        playBar.style.cssText = `
+            position: fixed;
+            top: 10px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(0, 0, 0, 0.9);
+            color: white;
+            padding: 10px 15px;
+            border-radius: 10px;
+            font-family: monospace;
+            font-size: 12px;
+            z-index: 10000;
+            display: none;
+        `;
+        playBar.innerHTML = `
+            <span style="color: #FFD700; margin-right: 10px;">▶️ Play testing - R to restart</span>
+            <button id="creator-stop" style="padding: 6px 12px; background: #f44336; color: white; border: none; border-radius: 5px; cursor: pointer; font-weight: bold;">
+                ⏹️ Stop
+            </button>
+        `;
+        document.body.appendChild(playBar);
+        this.playBar = playBar;
+        
         // Setup event listeners
         document.getElementById('creator-object-type').onchange = (e) => {
             this.currentType = e.target.value;
@@ -132,9 +342,69 @@ export class LevelCreator {
                 this.currentType === 'building' ? 'block' : 'none';
             document.getElementById('target-types').style.display = 
                 this.currentType === 'target' ? 'block' : 'none';
+            document.getElementById('prefab-types').style.display = 
+                this.currentType === 'prefab' ? 'block' : 'none';
+            document.getElementById('scenery-types').style.display = 
+                this.currentType === 'scenery' ? 'block' : 'none';
+            this.updateGhostObject();
+        };
+        
+        document.getElementById('creator-scenery-type').onchange = (e) => {
+            this.currentSceneryType = e.target.value;
+            this.sceneryParams = { ...SCENERY_TYPES[this.currentSceneryType].params };
+            this.updateSceneryParams();
+        };
+        
+        document.getElementById('creator-scenery-rotation').onchange = (e) => {
+            this.sceneryRotation = (parseFloat(e.target.value) || 0) * Math.PI / 180;
+        };
+        
+        this.updateSceneryParams();
+        
+        document.getElementById('creator-prefab').onchange = (e) => {
+            this.currentPrefab = e.target.value || null;
+            this.updateGhostObject();
+        };
+        
+        document.getElementById('creator-prefab-rotation').onchange = (e) => {
+            this.prefabRotation = (parseFloat(e.target.value) || 0) * Math.PI / 180;
             this.updateGhostObject();
         };
         
+        document.getElementById('creator-save-prefab').onclick = () => this.saveSelectionAsPrefab();
+        
+        this.ui.querySelectorAll('[data-property]').forEach(input => {
+            input.onchange = () => {
+                const key = input.getAttribute('data-property');
+                if (input.value === '') {
+                    this.setOverride(key, undefined);
+                } else if (OVERRIDE_FIELDS[key](parseFloat(input.value))) {
+                    this.setOverride(key, parseFloat(input.value));
+                } else {
+                    alert(`Invalid value for ${key}: ${input.value}`);
+                    this.updatePropertiesPanel();
+                }
+            };
+        });
+        document.getElementById('creator-prop-static').onchange = (e) => {
+            this.setOverride('static', e.target.value === '' ? undefined : e.target.value === 'static');
+        };
+        document.getElementById('creator-prop-material').onchange = (e) => {
+            this.setOverride('material', e.target.value || undefined);
+        };
+        document.getElementById('creator-prefab-export').onclick = () => this.exportPrefab();
+        document.getElementById('creator-prefab-delete').onclick = () => this.deletePrefab();
+        document.getElementById('creator-prefab-import').onclick = () => {
+            document.getElementById('creator-prefab-file-input').click();
+        };
+        document.getElementById('creator-prefab-file-input').onchange = (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow loading the same file twice
+            if (file) this.importPrefabFile(file);
+        };
+        
+        this.updatePrefabList();
+        
         document.getElementById('creator-building-type').onchange = (e) => {
             this.currentBuildingType = e.target.value;
             this.updateGhostObject();
@@ -147,14 +417,40 @@ export class LevelCreator {
         
         document.getElementById('creator-base-x').onchange = (e) => {
             this.baseX = parseFloat(e.target.value);
+            this.autosave();
         };
         
+        document.getElementById('creator-draft').onchange = (e) => this.openDraft(e.target.value);
+        document.getElementById('creator-draft-new').onclick = () => this.createDraft();
+        document.getElementById('creator-draft-rename').onclick = () => this.renameDraft();
+        document.getElementById('creator-draft-duplicate').onclick = () => this.duplicateDraft();
+        document.getElementById('creator-draft-delete').onclick = () => this.deleteDraft();
+        
         document.getElementById('creator-grid-size').onchange = (e) => {
             this.gridSize = parseFloat(e.target.value);
         };
         
+        document.getElementById('creator-copy').onclick = () => this.copySelection();
+        document.getElementById('creator-paste').onclick = () => this.pasteClipboard();
+        document.getElementById('creator-mirror-x').onclick = () => this.mirrorSelection('x');
+        document.getElementById('creator-mirror-z').onclick = () => this.mirrorSelection('z');
+        document.getElementById('creator-settle').onclick = () => this.settleLayout();
+        document.getElementById('creator-settle-apply').onclick = () => this.applySettle();
+        document.getElementById('creator-settle-discard').onclick = () => this.clearSettlePreview();
+        document.getElementById('creator-play').onclick = () => this.startPlayTest();
+        document.getElementById('creator-stop').onclick = () => this.stopPlayTest();
+        document.getElementById('creator-undo').onclick = () => this.undo();
+        document.getElementById('creator-redo').onclick = () => this.redo();
         document.getElementById('creator-import').onclick = () => this.importCurrentLevel();
         document.getElementById('creator-export').onclick = () => this.exportLevel();
+        document.getElementById('creator-load-file').onclick = () => {
+            document.getElementById('creator-file-input').click();
+        };
+        document.getElementById('creator-file-input').onchange = (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow loading the same file twice
+            if (file) this.importLevelFile(file);
+        };
         document.getElementById('creator-clear').onclick = () => this.clearAll();
         document.getElementById('creator-close').onclick = () => this.toggle();
     }
@@ -162,29 +458,113 @@ export class LevelCreator {
     setupControls() {
         // Mouse click to place
         this.clickHandler = (e) => {
-            if (!this.isActive) return;
+            if (!this.isActive || this.ui.contains(e.target)) return;
             
-            // Get mouse position
-            const mouse = new THREE.Vector2(
-                (e.clientX / window.innerWidth) * 2 - 1,
-                -(e.clientY / window.innerHeight) * 2 + 1
-            );
+            // Ignore the click that ends a gizmo drag or box selection
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            
+            const raycaster = this.getMouseRaycaster(e);
             
-            // Raycast to ground
-            const raycaster = new THREE.Raycaster();
-            raycaster.setFromCamera(mouse, this.game.camera);
+            if (e.ctrlKey || e.metaKey) {
+                // Ctrl+Click to place object on whatever is under the cursor
+                const position = this.getPlacementPosition(raycaster);
+                if (position) {
+                    this.placeObject(position);
+                }
+                return;
+            }
             
-            const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-            const intersectPoint = new THREE.Vector3();
-            raycaster.ray.intersectPlane(groundPlane, intersectPoint);
+            // Click to select, Shift+Click to add/remove from the selection
+            const picked = this.pickPlacedObject(raycaster);
+            if (e.shiftKey) {
+                if (picked) this.toggleSelection(this.placedObjects.indexOf(picked));
+            } else {
+                this.setSelection(picked ? [picked] : []);
+            }
+        };
+        
+        // Drag gizmo handles, or Shift+Drag to box-select placed objects
+        this.mouseDownHandler = (e) => {
+            if (!this.isActive || this.ui.contains(e.target)) return;
             
-            if (intersectPoint) {
-                if (e.ctrlKey || e.metaKey) {
-                    // Ctrl+Click to place object
-                    this.placeObject(intersectPoint);
+            if (!e.shiftKey && e.button === 0) {
+                const handle = this.pickGizmoHandle(e);
+                if (handle && this.startGizmoDrag(e, handle)) {
+                    e.preventDefault();
                 }
-                // Selection disabled - use dropdown list only
+                return;
             }
+            
+            if (!e.shiftKey) return;
+            
+            const rect = document.createElement('div');
+            rect.style.cssText = `
+                position: fixed;
+                border: 1px dashed #FFD700;
+                background: rgba(255, 215, 0, 0.1);
+                pointer-events: none;
+                z-index: 9999;
+            `;
+            document.body.appendChild(rect);
+            this.boxSelect = { startX: e.clientX, startY: e.clientY, endX: e.clientX, endY: e.clientY, rect };
+            this.updateBoxSelectRect();
+        };
+        
+        this.mouseMoveHandler = (e) => {
+            if (this.gizmoDrag) {
+                this.updateGizmoDrag(e);
+                return;
+            }
+            
+            if (!this.boxSelect) {
+                if (!this.ui.contains(e.target)) this.updateGhostPosition(e);
+                return;
+            }
+            
+            this.boxSelect.endX = e.clientX;
+            this.boxSelect.endY = e.clientY;
+            this.updateBoxSelectRect();
+        };
+        
+        this.mouseUpHandler = (e) => {
+            if (this.gizmoDrag) {
+                this.endGizmoDrag();
+                this.suppressClick = true;
+                return;
+            }
+            
+            if (!this.boxSelect) return;
+            
+            const box = this.boxSelect;
+            box.rect.remove();
+            this.boxSelect = null;
+            
+            // Plain shift-clicks are handled by the click handler
+            if (Math.abs(box.endX - box.startX) < 4 && Math.abs(box.endY - box.startY) < 4) return;
+            
+            this.suppressClick = true;
+            this.selectInScreenRect(
+                Math.min(box.startX, box.endX), Math.min(box.startY, box.endY),
+                Math.max(box.startX, box.endX), Math.max(box.startY, box.endY)
+            );
+        };
+        
+        // Drag-and-drop level files
+        this.dragOverHandler = (e) => {
+            if (!this.isActive) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        };
+        
+        this.dropHandler = (e) => {
+            if (!this.isActive) return;
+            e.preventDefault();
+            
+            const file = e.dataTransfer.files[0];
+            if (file) this.importLevelFile(file);
         };
         
         // Keyboard controls
@@ -193,9 +573,21 @@ export class LevelCreator {
             
             if (!this.isActive) return;
             
+            // Undo / redo
+            if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+                e.preventDefault();
+                e.stopPropagation();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+            
             // Support multiple delete key variations (Delete, Backspace, Del)
             const isDeleteKey = e.key === 'Delete' || e.key === 'Backspace' || e.key === 'Del';
-            if (isDeleteKey && this.selectedObjectIndex !== null) {
+            if (isDeleteKey && this.getSelectedObjects().length > 0) {
                 e.preventDefault();
                 e.stopPropagation();
                 console.log('🗑️ Delete key pressed, selected index:', this.selectedObjectIndex);
@@ -203,10 +595,17 @@ export class LevelCreator {
                 return;
             }
             
-            if (e.key === 'c' && e.ctrlKey) {
+            if ((e.key === 'c' || e.key === 'C') && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.copySelection();
+                return;
+            }
+            
+            if ((e.key === 'v' || e.key === 'V') && (e.ctrlKey || e.metaKey)) {
                 e.preventDefault();
                 e.stopPropagation();
-                this.clearAll();
+                this.pasteClipboard();
                 return;
             }
             
@@ -220,18 +619,19 @@ export class LevelCreator {
                 return;
             }
             
-            if (this.selectedObjectIndex !== null) {
-                const obj = this.placedObjects[this.selectedObjectIndex];
-                if (!obj) return;
+            const selection = this.getSelectedObjects();
+            if (selection.length > 1) {
+                this.handleGroupKey(e, selection);
+            } else if (selection.length === 1) {
+                const obj = selection[0];
                 
                 const moveSpeed = this.gridSize || 0.5;
                 let moved = false;
                 let rotated = false;
                 
-                // Initialize rotations if not set
-                if (obj.rotationX === undefined) obj.rotationX = 0;
-                if (obj.rotationY === undefined) obj.rotationY = obj.rotation || 0;
-                if (obj.rotationZ === undefined) obj.rotationZ = 0;
+                // Edit a copy so the change can go through the undo history
+                const before = this.getTransform(obj);
+                const after = this.getTransform(obj);
                 
                 // Rotation controls
                 const rotationStep = e.shiftKey ? Math.PI / 4 : Math.PI / 12; // 45° or 15°
@@ -239,91 +639,85 @@ export class LevelCreator {
                 // Y-axis rotation (yaw) - Q/E
                 if (e.key === 'q' || e.key === 'Q') {
                     e.preventDefault();
-                    obj.rotationY -= rotationStep;
+                    after.rotationY -= rotationStep;
                     rotated = true;
                 }
                 if (e.key === 'e' || e.key === 'E') {
                     e.preventDefault();
-                    obj.rotationY += rotationStep;
+                    after.rotationY += rotationStep;
                     rotated = true;
                 }
                 
                 // X-axis rotation (pitch) - R/F
                 if (e.key === 'r' || e.key === 'R') {
                     e.preventDefault();
-                    obj.rotationX -= rotationStep;
+                    after.rotationX -= rotationStep;
                     rotated = true;
                 }
                 if (e.key === 'f' || e.key === 'F') {
                     e.preventDefault();
-                    obj.rotationX += rotationStep;
+                    after.rotationX += rotationStep;
                     rotated = true;
                 }
                 
                 // Z-axis rotation (roll) - T/G
                 if (e.key === 't' || e.key === 'T') {
                     e.preventDefault();
-                    obj.rotationZ -= rotationStep;
+                    after.rotationZ -= rotationStep;
                     rotated = true;
                 }
                 if (e.key === 'g' || e.key === 'G') {
                     e.preventDefault();
-                    obj.rotationZ += rotationStep;
+                    after.rotationZ += rotationStep;
                     rotated = true;
                 }
                 
-                // Keep backward compatibility
-                obj.rotation = obj.rotationY;
-                
                 // Movement controls
                 if (e.key === 'ArrowLeft') {
                     e.preventDefault();
-                    obj.position.x -= moveSpeed;
+                    after.position.x -= moveSpeed;
                     moved = true;
                 }
                 if (e.key === 'ArrowRight') {
                     e.preventDefault();
-                    obj.position.x += moveSpeed;
+                    after.position.x += moveSpeed;
                     moved = true;
                 }
                 if (e.key === 'ArrowUp') {
                     e.preventDefault();
-                    obj.position.z += moveSpeed;
+                    after.position.z += moveSpeed;
                     moved = true;
                 }
                 if (e.key === 'ArrowDown') {
                     e.preventDefault();
-                    obj.position.z -= moveSpeed;
+                    after.position.z -= moveSpeed;
                     moved = true;
                 }
                 if (e.key === 'PageUp') {
                     e.preventDefault();
-                    obj.position.y += moveSpeed;
+                    after.position.y += moveSpeed;
                     moved = true;
                 }
                 if (e.key === 'PageDown') {
                     e.preventDefault();
-                    obj.position.y = Math.max(0, obj.position.y - moveSpeed);
+                    after.position.y = Math.max(0, after.position.y - moveSpeed);
                     moved = true;
                 }
                 
                 if (moved || rotated) {
-                    // Apply rotation to the game object
-                    if (rotated && obj.originalObject && obj.originalObject.mesh) {
-                        obj.originalObject.mesh.rotation.x = obj.rotationX;
-                        obj.originalObject.mesh.rotation.y = obj.rotationY;
-                        obj.originalObject.mesh.rotation.z = obj.rotationZ;
-                        if (obj.originalObject.body) {
-                            obj.originalObject.body.quaternion.setFromEuler(obj.rotationX, obj.rotationY, obj.rotationZ);
-                        }
-                    }
-                    this.updateObjectsList();
+                    this.transformObject(obj, before, after, moved ? 'Move' : 'Rotate');
                 }
             }
         };
     }
     
     toggle() {
+        // Ctrl+L during a play test goes back to editing
+        if (this.isPlayTesting) {
+            this.stopPlayTest();
+            return;
+        }
+        
         this.isActive = !this.isActive;
         this.ui.style.display = this.isActive ? 'block' : 'none';
         
@@ -335,25 +729,39 @@ export class LevelCreator {
             console.log('📝 Adding event listeners...');
             document.addEventListener('click', this.clickHandler);
             document.addEventListener('keydown', this.keyHandler);
+            document.addEventListener('mousedown', this.mouseDownHandler);
+            document.addEventListener('mousemove', this.mouseMoveHandler);
+            document.addEventListener('mouseup', this.mouseUpHandler);
+            document.addEventListener('dragover', this.dragOverHandler);
+            document.addEventListener('drop', this.dropHandler);
             console.log('✅ Event listeners added');
             
             this.updateGhostObject();
             
-            // Show import prompt if no objects placed
+            // Offer to recover autosaved work, otherwise show import prompt if no objects placed
             if (this.placedObjects.length === 0) {
                 setTimeout(() => {
+                    if (this.offerRecovery()) return;
                     if (confirm('Import current level objects to edit them?')) {
                         this.importCurrentLevel();
                     }
                 }, 100);
             }
         } else {
+            // Put back anything still showing its settled pose
+            this.clearSettlePreview();
+            
             // Re-enable game controls
             this.enableGameControls();
             
             console.log('🎨 Level Creator deactivated');
             document.removeEventListener('click', this.clickHandler);
             document.removeEventListener('keydown', this.keyHandler);
+            document.removeEventListener('mousedown', this.mouseDownHandler);
+            document.removeEventListener('mousemove', this.mouseMoveHandler);
+            document.removeEventListener('mouseup', this.mouseUpHandler);
+            document.removeEventListener('dragover', this.dragOverHandler);
+            document.removeEventListener('drop', this.dropHandler);
             
             // Remove ghost object
             if (this.ghostObject) {
@@ -361,11 +769,10 @@ export class LevelCreator {
                 this.ghostObject = null;
             }
             
-            // Remove highlight
-            if (this.highlightMesh) {
-                this.game.scene.remove(this.highlightMesh);
-                this.highlightMesh = null;
-            }
+            // Remove highlights
+            this.removeHighlights();
+            if (this.gizmo) this.gizmo.visible = false;
+            this.gizmoDrag = null;
         }
     }
     
@@ -375,10 +782,13 @@ export class LevelCreator {
             this.game.keys[key] = false;
         });
         
-        // Hide trajectory preview
+        // Hide trajectory preview and ghost trails
         if (this.game.trajectory && this.game.trajectory.line) {
             this.game.trajectory.line.visible = false;
         }
+        if (this.game.ghostTrails) {
+            this.game.ghostTrails.hide();
+        }
         
         // Store that creator is active so game can check it
         this.game.levelCreatorActive = true;
@@ -387,10 +797,13 @@ export class LevelCreator {
     }
     
     enableGameControls() {
-        // Show trajectory preview again
+        // Show trajectory preview and ghost trails again
         if (this.game.trajectory && this.game.trajectory.line) {
             this.game.trajectory.line.visible = true;
         }
+        if (this.game.ghostTrails) {
+            this.game.ghostTrails.show();
+        }
         
         // Mark creator as inactive
         this.game.levelCreatorActive = false;
@@ -398,6 +811,150 @@ export class LevelCreator {
         console.log('🎮 Level Creator closed - game controls enabled');
     }
     
+    startPlayTest() {
+        if (this.isPlayTesting) return;
+        
+        if (this.placedObjects.length === 0) {
+            alert('Place some objects before play-testing!');
+            return;
+        }
+        
+        this.clearSettlePreview();
+        
+        const game = this.game;
+        const level = game.level;
+        
+        // Level objects the editor isn't tracking get knocked over too, so remember them as well
+        const tracked = new Set(this.placedObjects.map(obj => obj.originalObject));
+        const untracked = [
+            ...level.buildings
+                .filter(building => !building.isDestroyed && !tracked.has(building))
+                .map(building => this.createPlacedObjectFrom(building, 'building')),
+            ...level.targets
+                .filter(target => !target.isDestroyed && !tracked.has(target))
+                .map(target => this.createPlacedObjectFrom(target, 'target'))
+        ];
+        
+        this.playTest = {
+            layout: [...this.placedObjects],
+            untracked: untracked,
+            game: {
+                ammo: game.ammo,
+                startingAmmo: game.startingAmmo,
+                shotsUsed: game.shotsUsed,
+                score: game.score
+            },
+            level: {
+                targetsDestroyed: level.targetsDestroyed,
+                obstaclesDestroyed: level.obstaclesDestroyed,
+                obstacleScoreAccumulated: level.obstacleScoreAccumulated,
+                initialTargetCount: level.initialTargetCount,
+                initialBuildingCount: level.initialBuildingCount,
+                impactScore: level.impactScore,
+                bodyShots: level.bodyShots,
+                shotKills: level.shotKills
+            }
+        };
+        
+        // Hand control back to the game
+        this.toggle();
+        this.isPlayTesting = true;
+        game.isPlayTesting = true;
+        game.ghostTrails.setLevel('play-test'); // Play tests keep their own ghosts
+        this.playBar.style.display = 'block';
+        
+        this.resetPlayState();
+        
+        console.log(`▶️ Play test started: ${this.placedObjects.length} objects, ${game.ammo} ammo`);
+    }
+    
+    restartPlayTest() {
+        if (!this.isPlayTesting) return;
+        
+        this.restoreLayout();
+        this.resetPlayState();
+        
+        console.log('🔄 Play test restarted');
+    }
+    
+    stopPlayTest() {
+        if (!this.isPlayTesting) return;
+        
+        const game = this.game;
+        const saved = this.playTest;
+        
+        this.restoreLayout();
+        
+        // Put the game back the way the editor left it
+        Object.assign(game, saved.game);
+        Object.assign(game.level, saved.level);
+        game.victoryShown = false;
+        game.ghostTrails.setLevel(game.currentLevel);
+        game.updateUI();
+        
+        this.isPlayTesting = false;
+        game.isPlayTesting = false;
+        this.playTest = null;
+        this.playBar.style.display = 'none';
+        
+        // Back to editing
+        this.toggle();
+        this.updateObjectsList();
+        this.highlightSelectedObject();
+        
+        console.log('⏹️ Play test stopped - layout restored');
+    }
+    
+    // Rebuild every object from the layout saved when the play test started
+    restoreLayout() {
+        const game = this.game;
+        
+        game.projectiles.forEach(p => p.remove());
+        game.projectiles = [];
+        game.activeProjectile = null;
+        game.resetClock();
+        game.cameraFollowMode = false;
+        game.loadCameraPreset(game.currentPresetIndex);
+        game.updateCameraLookDirection();
+        
+        const gameOverScreen = document.getElementById('game-over');
+        if (gameOverScreen) gameOverScreen.style.display = 'none';
+        
+        // Whatever survived gets replaced too, so knocked-over pieces end up back in place
+        [...this.playTest.layout, ...this.playTest.untracked].forEach(obj => {
+            this.detachGameObject(obj);
+            this.attachGameObject(obj);
+        });
+    }
+    
+    resetPlayState() {
+        const game = this.game;
+        const level = game.level;
+        
+        // Fresh ammo from the level settings, as if the level had just loaded
+        game.startingAmmo = this.levelSettings.ammo;
+        game.ammo = game.startingAmmo;
+        game.shotsUsed = 0;
+        game.victoryShown = false;
+        game.victoryCheckEnabled = true;
+        game.resetClock();
+        level.resetShotRandom();
+        level.resetShotTracking();
+        level.resetWind(this.levelSettings.wind ?? null);
+        
+        level.targetsDestroyed = 0;
+        level.obstaclesDestroyed = 0;
+        level.obstacleScoreAccumulated = 0;
+        level.initialTargetCount = level.targets.length;
+        level.initialBuildingCount = level.buildings.length;
+        
+        game.catapult.showBall();
+        const crosshair = document.getElementById('crosshair');
+        if (crosshair) crosshair.style.display = 'block';
+        
+        game.updateUI();
+    }
+    
     importCurrentLevel() {
         if (this.placedObjects.length > 0) {
             if (!confirm('Clear current objects and import level? This will replace your current work.')) {
@@ -405,91 +962,127 @@ export class LevelCreator {
             }
         }
         
-        this.placedObjects = [];
-        this.selectedObjectIndex = null;
+        const before = [...this.placedObjects];
+        const after = [];
         
-        // Import buildings
-        if (this.game.level && this.game.level.buildings) {
+        // Import live buildings and targets, reusing records we already track
+        if (this.game.level) {
             this.game.level.buildings.forEach(building => {
                 if (!building.isDestroyed) {
-                    const rotX = building.mesh ? building.mesh.rotation.x : 0;
-                    const rotY = building.mesh ? building.mesh.rotation.y : 0;
-                    const rotZ = building.mesh ? building.mesh.rotation.z : 0;
-                    const obj = {
-                        type: 'building',
-                        subType: building.buildingType,
-                        position: {
-                            x: parseFloat(building.position.x.toFixed(1)),
-                            y: parseFloat(building.position.y.toFixed(1)),
-                            z: parseFloat(building.position.z.toFixed(1))
-                        },
-                        rotation: rotY, // Legacy
-                        rotationX: rotX,
-                        rotationY: rotY,
-                        rotationZ: rotZ,
-                        imported: true,
-                        originalObject: building
-                    };
-                    this.placedObjects.push(obj);
+                    after.push(before.find(o => o.originalObject === building) ||
+                        this.createPlacedObjectFrom(building, 'building'));
                 }
             });
-        }
-        
-        // Import targets
-        if (this.game.level && this.game.level.targets) {
             this.game.level.targets.forEach(target => {
                 if (!target.isDestroyed) {
-                    const rotX = target.mesh ? target.mesh.rotation.x : 0;
-                    const rotY = target.mesh ? target.mesh.rotation.y : 0;
-                    const rotZ = target.mesh ? target.mesh.rotation.z : 0;
-                    const obj = {
-                        type: 'target',
-                        subType: target.type,
-                        position: {
-                            x: parseFloat(target.position.x.toFixed(1)),
-                            y: parseFloat(target.position.y.toFixed(1)),
-                            z: parseFloat(target.position.z.toFixed(1))
-                        },
-                        rotation: rotY, // Legacy
-                        rotationX: rotX,
-                        rotationY: rotY,
-                        rotationZ: rotZ,
-                        imported: true,
-                        originalObject: target
-                    };
-                    this.placedObjects.push(obj);
+                    after.push(before.find(o => o.originalObject === target) ||
+                        this.createPlacedObjectFrom(target, 'target'));
                 }
             });
+            this.game.level.scenery.forEach(asset => {
+                after.push(before.find(o => o.originalObject === asset) ||
+                    this.createPlacedObjectFrom(asset, 'scenery'));
+            });
+        }
+        
+        const beforeSettings = this.getSettings();
+        const afterSettings = this.getSettings();
+        
+        // Carry the level's settings through to export
+        if (this.game.level) {
+            afterSettings.levelSettings = {
+                name: this.game.level.name,
+                ammo: this.game.level.ammo,
+                scenerySeed: this.game.level.scenerySeed,
+                wind: this.game.level.windDefinition
+            };
         }
         
         // Auto-detect baseX (find the most common X position rounded to nearest 5)
-        if (this.placedObjects.length > 0) {
-            const xValues = this.placedObjects.map(o => Math.round(o.position.x / 5) * 5);
+        if (after.length > 0) {
+            const xValues = after.map(o => Math.round(o.position.x / 5) * 5);
             const xCounts = {};
             xValues.forEach(x => xCounts[x] = (xCounts[x] || 0) + 1);
             const mostCommonX = Object.keys(xCounts).reduce((a, b) => 
                 xCounts[a] > xCounts[b] ? a : b
             );
-            this.baseX = parseFloat(mostCommonX);
-            document.getElementById('creator-base-x').value = this.baseX;
+            afterSettings.baseX = parseFloat(mostCommonX);
         }
         
-        this.updateObjectsList();
+        // The objects already exist in the scene, so only the list changes
+        this.history.execute({
+            label: 'Import current level',
+            execute: () => {
+                this.placedObjects = [...after];
+                this.applySettings(afterSettings);
+            },
+            undo: () => {
+                this.placedObjects = [...before];
+                this.applySettings(beforeSettings);
+            }
+        });
+        
+        this.clearSelection();
         
         const count = this.placedObjects.length;
         alert(`✅ Imported ${count} objects from current level!\n\nYou can now:\n• Click list items to select\n• Arrow keys to move\n• PageUp/Down to change height\n• Delete to remove\n• Ctrl+Click ground to add new objects`);
     }
     
+    createPlacedObjectFrom(gameObject, type) {
+        const rotX = gameObject.mesh ? gameObject.mesh.rotation.x : 0;
+        const rotY = gameObject.mesh ? gameObject.mesh.rotation.y : 0;
+        const rotZ = gameObject.mesh ? gameObject.mesh.rotation.z : 0;
+        
+        if (type === 'scenery') {
+            // Scenery remembers what it was built from; its mesh follows the offset physics body
+            const obj = this.clonePlacedObject(gameObject.scenery, {
+                position: { ...gameObject.scenery.position },
+                rotationX: rotX,
+                rotationY: rotY,
+                rotationZ: rotZ
+            });
+            obj.type = 'scenery';
+            obj.imported = true;
+            obj.originalObject = gameObject;
+            return obj;
+        }
+        
+        return {
+            type: type,
+            subType: type === 'building' ? gameObject.buildingType : gameObject.type,
+            position: {
+                x: parseFloat(gameObject.position.x.toFixed(1)),
+                y: parseFloat(gameObject.position.y.toFixed(1)),
+                z: parseFloat(gameObject.position.z.toFixed(1))
+            },
+            rotation: rotY, // Legacy
+            rotationX: rotX,
+            rotationY: rotY,
+            rotationZ: rotZ,
+            overrides: { ...gameObject.overrides },
+            imported: true,
+            originalObject: gameObject
+        };
+    }
+    
+    getSettings() {
+        return {
+            baseX: this.baseX,
+            levelSettings: { ...this.levelSettings }
+        };
+    }
+    
+    applySettings(settings) {
+        this.baseX = settings.baseX;
+        this.levelSettings = { ...settings.levelSettings };
+        document.getElementById('creator-base-x').value = this.baseX;
+    }
+    
     updateGhostObject() {
         if (this.ghostObject) {
             this.game.scene.remove(this.ghostObject);
         }
         
-        // Create semi-transparent ghost preview
-        const geometry = this.currentType === 'building' 
-            ? this.getBuildingGeometry(this.currentBuildingType)
-            : new THREE.SphereGeometry(0.5, 8, 8);
-            
         const material = new THREE.MeshBasicMaterial({
             color: 0x00ff00,
             transparent: true,
@@ -497,10 +1090,78 @@ export class LevelCreator {
             wireframe: true
         });
         
-        this.ghostObject = new THREE.Mesh(geometry, material);
+        if (this.currentType === 'prefab') {
+            this.ghostObject = this.createPrefabGhost(material);
+        } else if (this.currentType === 'scenery') {
+            // Scenery sizes depend on their parameters, so just mark the spot
+            const geometry = new THREE.ConeGeometry(0.8, 2, 8).translate(0, 1, 0);
+            this.ghostObject = new THREE.Mesh(geometry, material);
+        } else {
+            // Create semi-transparent ghost preview
+            const geometry = this.currentType === 'building' 
+                ? this.getBuildingGeometry(this.currentBuildingType)
+                : new THREE.SphereGeometry(0.5, 8, 8);
+            
+            this.ghostObject = new THREE.Mesh(geometry, material);
+        }
+        this.ghostObject.visible = false; // Shown once the mouse moves over the scene
         this.game.scene.add(this.ghostObject);
     }
     
+    updateGhostPosition(e) {
+        if (!this.ghostObject) return;
+        
+        const position = this.getPlacementPosition(this.getMouseRaycaster(e));
+        if (!position) return;
+        
+        this.ghostObject.position.set(this.snapToGrid(position.x), position.y, this.snapToGrid(position.z));
+        this.ghostObject.visible = true;
+    }
+    
+    // Where a new piece would land: resting on top of the object under the cursor, or on the ground
+    getPlacementPosition(raycaster) {
+        const subType = this.currentType === 'building' ? this.currentBuildingType : this.currentTargetType;
+        const halfHeight = this.getHalfHeight(this.currentType, subType);
+        
+        const hit = this.raycastPlacedObjects(raycaster);
+        if (hit) {
+            const top = new THREE.Box3().setFromObject(hit.obj.originalObject.mesh).max.y;
+            return new THREE.Vector3(hit.point.x, top + halfHeight, hit.point.z);
+        }
+        
+        const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        const point = raycaster.ray.intersectPlane(groundPlane, new THREE.Vector3());
+        if (!point) return null;
+        
+        point.y = halfHeight;
+        return point;
+    }
+    
+    getHalfHeight(type, subType) {
+        // Prefab offsets already start at their lowest point, and scenery is built up from its origin
+        if (type === 'prefab' || type === 'scenery') return 0;
+        
+        return this.getObjectShape(type, subType).size.y / 2;
+    }
+    
+    // Size of an object's physics body, plus its radius if it is an upright cylinder
+    getObjectShape(type, subType) {
+        if (type === 'target') {
+            return TARGET_SHAPES[subType] || TARGET_SHAPES.basic;
+        }
+        
+        if (this.buildingShapes[subType] === undefined) {
+            const geometry = this.getBuildingGeometry(subType);
+            geometry.computeBoundingBox();
+            this.buildingShapes[subType] = {
+                size: geometry.boundingBox.getSize(new THREE.Vector3()),
+                radius: geometry.type === 'CylinderGeometry' ? geometry.parameters.radiusBottom : null
+            };
+            geometry.dispose();
+        }
+        return this.buildingShapes[subType];
+    }
+    
     getBuildingGeometry(type) {
         switch(type) {
             case 'wall':
@@ -514,6 +1175,8 @@ export class LevelCreator {
                 return new THREE.BoxGeometry(3, 0.3, 3);
             case 'castle':
                 return new THREE.BoxGeometry(4, 3, 4);
+            case 'explosive-barrel':
+                return new THREE.CylinderGeometry(0.5, 0.5, 1.2, 12);
             case 'indestructible-pillar':
                 return new THREE.CylinderGeometry(0.5, 0.6, 6, 8);
             case 'indestructible-block':
@@ -529,173 +1192,1081 @@ export class LevelCreator {
     }
     
     placeObject(position) {
+        if (this.currentType === 'prefab') {
+            this.placePrefab(position);
+            return;
+        }
+        
+        // Height comes from the surface the piece rests on, so only X/Z snap to the grid
         const snappedPos = {
             x: this.snapToGrid(position.x),
-            y: this.snapToGrid(position.y),
+            y: parseFloat(position.y.toFixed(3)),
             z: this.snapToGrid(position.z)
         };
         
-        // Actually create the object in the game
-        let gameObject = null;
-        
-        if (this.currentType === 'building') {
-            // Create building using Level's addBuilding method
-            gameObject = this.game.level.addBuilding(
-                snappedPos.x,
-                snappedPos.y,
-                snappedPos.z,
-                this.currentBuildingType
-            );
-            // Apply default rotation
-            if (gameObject && gameObject.mesh) {
-                gameObject.mesh.rotation.y = 0;
-                if (gameObject.body) {
-                    gameObject.body.quaternion.setFromEuler(0, 0, 0);
-                }
-            }
-        } else if (this.currentType === 'target') {
-            // Create target using Level's addTarget method
-            gameObject = this.game.level.addTarget(
-                snappedPos.x,
-                snappedPos.y,
-                snappedPos.z,
-                this.currentTargetType
-            );
-            // Apply default rotation
-            if (gameObject && gameObject.mesh) {
-                gameObject.mesh.rotation.y = 0;
-            }
+        if (this.currentType === 'scenery') {
+            this.placeScenery(snappedPos);
+            return;
         }
         
-        // Store the object data with reference to the game object
+        const subType = this.currentType === 'building' ? this.currentBuildingType : this.currentTargetType;
+        
+        // Store the object data; the game object is created when the command runs
         const obj = {
             type: this.currentType,
-            subType: this.currentType === 'building' ? this.currentBuildingType : this.currentTargetType,
+            subType: subType,
             position: snappedPos,
             rotation: 0, // Legacy: same as rotationY
             rotationX: 0,
             rotationY: 0,
             rotationZ: 0,
+            overrides: {},
             imported: false,
-            originalObject: gameObject
+            originalObject: null
         };
         
-        this.placedObjects.push(obj);
-        this.updateObjectsList();
+        const index = this.placedObjects.length;
+        this.history.execute({
+            label: `Place ${subType}`,
+            execute: () => this.insertPlacedObject(obj, index),
+            undo: () => this.removePlacedObject(obj)
+        });
         
         console.log(`✅ Placed ${obj.subType} at (${snappedPos.x}, ${snappedPos.y}, ${snappedPos.z})`);
     }
     
-    selectObjectAt(position) {
-        // Find closest object
-        let closestIndex = null;
-        let closestDist = Infinity;
+    placeScenery(position) {
+        const obj = this.clonePlacedObject({
+            type: 'scenery',
+            subType: this.currentSceneryType,
+            params: this.sceneryParams
+        }, {
+            position: position,
+            rotationX: 0,
+            rotationY: this.sceneryRotation,
+            rotationZ: 0
+        });
         
-        this.placedObjects.forEach((obj, index) => {
-            const dist = Math.sqrt(
-                Math.pow(obj.position.x - position.x, 2) +
-                Math.pow(obj.position.z - position.z, 2)
-            );
-            if (dist < closestDist && dist < 2) {
-                closestDist = dist;
-                closestIndex = index;
-            }
+        const index = this.placedObjects.length;
+        this.history.execute({
+            label: `Place ${obj.subType}`,
+            execute: () => this.insertPlacedObject(obj, index),
+            undo: () => this.removePlacedObject(obj)
         });
         
-        this.selectedObjectIndex = closestIndex;
+        console.log(`🏕️ Placed ${obj.subType} at (${position.x}, ${position.y}, ${position.z})`);
+    }
+    
+    // Inputs for the current scenery type's parameters
+    updateSceneryParams() {
+        const container = document.getElementById('creator-scenery-params');
+        container.innerHTML = Object.entries(this.sceneryParams).map(([key, value]) => `
+            <div style="display: flex; align-items: center; gap: 5px; margin-top: 5px;">
+                <label for="creator-scenery-${key}" style="flex: 1;">${key}:</label>
+                ${typeof value === 'string'
+                    ? `<input type="color" id="creator-scenery-${key}" data-param="${key}" value="${value}">`
+                    : `<input type="number" id="creator-scenery-${key}" data-param="${key}" value="${value}" min="0.1" step="0.5" style="width: 80px; padding: 3px; background: #333; color: white; border: 1px solid #555;">`}
+            </div>`).join('');
         
-        // If this is an imported object, sync its position from the game
-        if (closestIndex !== null && this.placedObjects[closestIndex].originalObject) {
-            const gameObj = this.placedObjects[closestIndex].originalObject;
-            if (gameObj && gameObj.mesh && gameObj.mesh.position) {
-                this.placedObjects[closestIndex].position = {
-                    x: parseFloat(gameObj.mesh.position.x.toFixed(1)),
-                    y: parseFloat(gameObj.mesh.position.y.toFixed(1)),
-                    z: parseFloat(gameObj.mesh.position.z.toFixed(1))
-                };
+        container.querySelectorAll('[data-param]').forEach(input => {
+            input.onchange = () => {
+                const key = input.getAttribute('data-param');
+                const defaultValue = SCENERY_TYPES[this.currentSceneryType].params[key];
+                this.sceneryParams[key] = typeof defaultValue === 'string'
+                    ? input.value
+                    : (parseFloat(input.value) > 0 ? parseFloat(input.value) : defaultValue);
+                input.value = this.sceneryParams[key];
+            };
+        });
+    }
+    
+    spawnGameObject(type, subType, position, rotation = { x: 0, y: 0, z: 0 }, overrides = {}) {
+        // Create the live object using Level's addBuilding/addTarget methods
+        const gameObject = type === 'building'
+            ? this.game.level.addBuilding(position.x, position.y, position.z, subType)
+            : this.game.level.addTarget(position.x, position.y, position.z, subType);
+        
+        if (gameObject && gameObject.mesh) {
+            gameObject.mesh.rotation.set(rotation.x, rotation.y, rotation.z);
+            if (gameObject.body) {
+                gameObject.body.quaternion.setFromEuler(rotation.x, rotation.y, rotation.z);
             }
+            gameObject.applyOverrides(overrides);
         }
         
+        return gameObject;
+    }
+    
+    removeGameObject(obj) {
+        if (!obj.originalObject) return;
+        
+        if (obj.type === 'scenery') {
+            this.game.level.removeScenery(obj.originalObject);
+            return;
+        }
+        
+        try {
+            const list = obj.type === 'building' ? this.game.level.buildings : this.game.level.targets;
+            const index = list.indexOf(obj.originalObject);
+            if (index > -1) {
+                obj.originalObject.destroy();
+                list.splice(index, 1);
+                console.log(`✅ Destroyed ${obj.type} from game`);
+            }
+        } catch (e) {
+            console.warn('Could not destroy original object:', e);
+        }
+    }
+    
+    // Make sure a placed object has a live game object in the scene
+    attachGameObject(obj) {
+        if (obj.originalObject && !obj.originalObject.isDestroyed) return;
+        obj.originalObject = obj.type === 'scenery'
+            ? this.game.level.addScenery(obj.position.x, obj.position.y, obj.position.z, obj.subType, obj.params, this.getRotation(obj))
+            : this.spawnGameObject(obj.type, obj.subType, obj.position, this.getRotation(obj), obj.overrides);
+    }
+    
+    // Remove a placed object's live game object, keeping its data for undo
+    detachGameObject(obj) {
+        this.removeGameObject(obj);
+        obj.originalObject = null;
+    }
+    
+    insertPlacedObject(obj, index) {
+        this.attachGameObject(obj);
+        this.placedObjects.splice(Math.min(index, this.placedObjects.length), 0, obj);
+    }
+    
+    removePlacedObject(obj) {
+        this.detachGameObject(obj);
+        const index = this.placedObjects.indexOf(obj);
+        if (index > -1) {
+            this.placedObjects.splice(index, 1);
+        }
+    }
+    
+    getRotation(obj) {
+        return {
+            x: obj.rotationX || 0,
+            y: obj.rotationY || obj.rotation || 0,
+            z: obj.rotationZ || 0
+        };
+    }
+    
+    getTransform(obj) {
+        const rotation = this.getRotation(obj);
+        return {
+            position: { ...obj.position },
+            rotationX: rotation.x,
+            rotationY: rotation.y,
+            rotationZ: rotation.z
+        };
+    }
+    
+    applyTransform(obj, transform) {
+        obj.position = { ...transform.position };
+        obj.rotationX = transform.rotationX;
+        obj.rotationY = transform.rotationY;
+        obj.rotationZ = transform.rotationZ;
+        obj.rotation = transform.rotationY; // Keep backward compatibility
+        
+        this.poseGameObject(obj.originalObject, transform);
+    }
+    
+    // Move a live game object (mesh and body) without touching its placed object
+    poseGameObject(gameObj, transform) {
+        if (!gameObj || !gameObj.mesh) return;
+        
+        const { position } = transform;
+        if (gameObj.scenery) {
+            this.game.level.medievalAssets.poseAsset(gameObj, position, {
+                x: transform.rotationX, y: transform.rotationY, z: transform.rotationZ
+            });
+            return;
+        }
+        
+        gameObj.mesh.position.set(position.x, position.y, position.z);
+        gameObj.mesh.rotation.set(transform.rotationX, transform.rotationY, transform.rotationZ);
+        if (gameObj.body) {
+            gameObj.body.position.set(position.x, position.y, position.z);
+            gameObj.body.quaternion.setFromEuler(transform.rotationX, transform.rotationY, transform.rotationZ);
+            gameObj.body.velocity.set(0, 0, 0);
+            gameObj.body.angularVelocity.set(0, 0, 0);
+            gameObj.body.sleep();
+        }
+    }
+    
+    transformObject(obj, before, after, label) {
+        this.transformObjects([obj], [before], [after], label);
+    }
+    
+    transformObjects(objs, befores, afters, label) {
+        this.history.execute({
+            label: objs.length === 1 ? `${label} ${objs[0].subType}` : `${label} ${objs.length} objects`,
+            execute: () => objs.forEach((obj, i) => this.applyTransform(obj, afters[i])),
+            undo: () => objs.forEach((obj, i) => this.applyTransform(obj, befores[i]))
+        });
+    }
+    
+    handleGroupKey(e, selection) {
+        const moveSpeed = this.gridSize || 0.5;
+        const rotationStep = e.shiftKey ? Math.PI / 4 : Math.PI / 12; // 45° or 15°
+        
+        // Same keys as single-object editing, applied around the group's center
+        const rotationKeys = {
+            q: [new THREE.Vector3(0, 1, 0), -1], e: [new THREE.Vector3(0, 1, 0), 1],
+            r: [new THREE.Vector3(1, 0, 0), -1], f: [new THREE.Vector3(1, 0, 0), 1],
+            t: [new THREE.Vector3(0, 0, 1), -1], g: [new THREE.Vector3(0, 0, 1), 1]
+        };
+        const moveKeys = {
+            ArrowLeft: { x: -moveSpeed, y: 0, z: 0 },
+            ArrowRight: { x: moveSpeed, y: 0, z: 0 },
+            ArrowUp: { x: 0, y: 0, z: moveSpeed },
+            ArrowDown: { x: 0, y: 0, z: -moveSpeed },
+            PageUp: { x: 0, y: moveSpeed, z: 0 },
+            PageDown: { x: 0, y: -moveSpeed, z: 0 }
+        };
+        
+        const befores = selection.map(obj => this.getTransform(obj));
+        let afters = null;
+        let label = 'Move';
+        
+        const rotationKey = rotationKeys[e.key.toLowerCase()];
+        if (rotationKey) {
+            const [axis, sign] = rotationKey;
+            afters = this.rotateTransforms(befores, axis, sign * rotationStep);
+            label = 'Rotate';
+        } else if (moveKeys[e.key]) {
+            const delta = { ...moveKeys[e.key] };
+            if (e.key === 'PageDown') {
+                // Keep the whole group above ground without squashing it
+                const lowest = Math.min(...befores.map(t => t.position.y));
+                delta.y = -Math.min(moveSpeed, Math.max(0, lowest));
+            }
+            afters = befores.map(t => this.offsetTransform(t, delta));
+        }
+        
+        if (!afters) return;
+        e.preventDefault();
+        this.transformObjects(selection, befores, afters, label);
+    }
+    
+    offsetTransform(transform, delta) {
+        return {
+            ...transform,
+            position: {
+                x: transform.position.x + delta.x,
+                y: transform.position.y + delta.y,
+                z: transform.position.z + delta.z
+            }
+        };
+    }
+    
+    rotateTransforms(transforms, axis, angle) {
+        const center = new THREE.Vector3();
+        transforms.forEach(t => center.add(new THREE.Vector3(t.position.x, t.position.y, t.position.z)));
+        center.divideScalar(transforms.length);
+        
+        const turn = new THREE.Quaternion().setFromAxisAngle(axis, angle);
+        
+        return transforms.map(t => {
+            const offset = new THREE.Vector3(t.position.x, t.position.y, t.position.z)
+                .sub(center)
+                .applyQuaternion(turn);
+            const orientation = new THREE.Quaternion().setFromEuler(
+                new THREE.Euler(t.rotationX, t.rotationY, t.rotationZ)
+            );
+            const euler = new THREE.Euler().setFromQuaternion(turn.clone().multiply(orientation));
+            
+            return {
+                position: { x: center.x + offset.x, y: center.y + offset.y, z: center.z + offset.z },
+                rotationX: euler.x,
+                rotationY: euler.y,
+                rotationZ: euler.z
+            };
+        });
+    }
+    
+    clonePlacedObject(obj, transform) {
+        const clone = {
+            type: obj.type,
+            subType: obj.subType,
+            position: { ...transform.position },
+            rotation: transform.rotationY, // Legacy
+            rotationX: transform.rotationX,
+            rotationY: transform.rotationY,
+            rotationZ: transform.rotationZ,
+            overrides: { ...obj.overrides },
+            imported: false,
+            originalObject: null
+        };
+        if (obj.params) clone.params = { ...obj.params }; // Scenery
+        return clone;
+    }
+    
+    addPlacedObjects(objs, label) {
+        this.history.execute({
+            label: label,
+            execute: () => objs.forEach(obj => this.insertPlacedObject(obj, this.placedObjects.length)),
+            undo: () => objs.forEach(obj => this.removePlacedObject(obj))
+        });
+    }
+    
+    copySelection() {
+        const selection = this.getSelectedObjects();
+        if (selection.length === 0) return;
+        
+        this.clipboard = selection.map(obj => ({
+            type: obj.type,
+            subType: obj.subType,
+            overrides: { ...obj.overrides },
+            params: obj.params,
+            transform: this.getTransform(obj)
+        }));
+        this.pasteCount = 0;
+        
+        console.log(`📄 Copied ${this.clipboard.length} objects`);
+    }
+    
+    pasteClipboard() {
+        if (this.clipboard.length === 0) return;
+        
+        // Each paste lands one more step away so repeated pastes don't stack
+        this.pasteCount++;
+        const step = (this.gridSize || 1) * this.pasteCount;
+        const delta = { x: step, y: 0, z: step };
+        
+        const pasted = this.clipboard.map(item =>
+            this.clonePlacedObject(item, this.offsetTransform(item.transform, delta))
+        );
+        this.addPlacedObjects(pasted, `Paste ${pasted.length} objects`);
+        this.setSelection(pasted);
+        
+        console.log(`📋 Pasted ${pasted.length} objects`);
+    }
+    
+    mirrorSelection(axis) {
+        const selection = this.getSelectedObjects();
+        if (selection.length === 0) return;
+        
+        // 'x' mirrors across the X axis (z -> -z), 'z' across the Z axis at baseX (x -> 2*baseX - x)
+        const mirrorTransform = t => axis === 'x'
+            ? {
+                position: { x: t.position.x, y: t.position.y, z: -t.position.z },
+                rotationX: -t.rotationX,
+                rotationY: -t.rotationY,
+                rotationZ: t.rotationZ
+            }
+            : {
+                position: { x: 2 * this.baseX - t.position.x, y: t.position.y, z: t.position.z },
+                rotationX: t.rotationX,
+                rotationY: -t.rotationY,
+                rotationZ: -t.rotationZ
+            };
+        
+        // Skip copies that would land exactly on an existing object (e.g. pieces on the mirror line)
+        const occupied = (subType, position) => this.placedObjects.some(o =>
+            o.subType === subType &&
+            Math.abs(o.position.x - position.x) < 0.01 &&
+            Math.abs(o.position.y - position.y) < 0.01 &&
+            Math.abs(o.position.z - position.z) < 0.01
+        );
+        
+        const mirrored = selection
+            .map(obj => this.clonePlacedObject(obj, mirrorTransform(this.getTransform(obj))))
+            .filter(obj => !occupied(obj.subType, obj.position));
+        
+        if (mirrored.length === 0) {
+            console.log('🪞 Nothing to mirror - selection is symmetric already');
+            return;
+        }
+        
+        this.addPlacedObjects(mirrored, `Mirror ${mirrored.length} objects`);
+        this.setSelection([...selection, ...mirrored]);
+        
+        console.log(`🪞 Mirrored ${mirrored.length} objects across the ${axis.toUpperCase()} axis`);
+    }
+    
+    getSelectedObjects() {
+        const selection = this.selectedObjects.filter(obj => this.placedObjects.includes(obj));
+        const primary = this.placedObjects[this.selectedObjectIndex];
+        if (primary && !selection.includes(primary)) {
+            selection.push(primary);
+        }
+        return selection;
+    }
+    
+    setSelection(objs) {
+        this.selectedObjects = [...objs];
+        const primary = objs[objs.length - 1];
+        const index = primary ? this.placedObjects.indexOf(primary) : -1;
+        this.selectedObjectIndex = index > -1 ? index : null;
         this.updateObjectsList();
+        this.highlightSelectedObject();
+    }
+    
+    clearSelection() {
+        this.setSelection([]);
+    }
+    
+    toggleSelection(index) {
+        const obj = this.placedObjects[index];
+        const selection = this.getSelectedObjects();
+        if (selection.includes(obj)) {
+            this.setSelection(selection.filter(o => o !== obj));
+        } else {
+            this.setSelection([...selection, obj]);
+        }
+    }
+    
+    getMouseRaycaster(e) {
+        const mouse = new THREE.Vector2(
+            (e.clientX / window.innerWidth) * 2 - 1,
+            -(e.clientY / window.innerHeight) * 2 + 1
+        );
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(mouse, this.game.camera);
+        return raycaster;
+    }
+    
+    pickPlacedObject(raycaster) {
+        const hit = this.raycastPlacedObjects(raycaster);
+        return hit ? hit.obj : null;
+    }
+    
+    raycastPlacedObjects(raycaster) {
+        // Map each live mesh back to its placed object
+        const meshes = new Map();
+        this.placedObjects.forEach(obj => {
+            const gameObj = obj.originalObject;
+            if (gameObj && gameObj.mesh && !gameObj.isDestroyed) {
+                meshes.set(gameObj.mesh, obj);
+            }
+        });
+        
+        const hits = raycaster.intersectObjects([...meshes.keys()], true);
+        for (const hit of hits) {
+            // Hits can be on child meshes (e.g. tower battlements)
+            let node = hit.object;
+            while (node && !meshes.has(node)) node = node.parent;
+            if (node) return { obj: meshes.get(node), point: hit.point };
+        }
+        
+        return null;
+    }
+    
+    createGizmo() {
+        const gizmo = new THREE.Group();
+        const axes = {
+            x: { direction: new THREE.Vector3(1, 0, 0), color: 0xFF5252 },
+            y: { direction: new THREE.Vector3(0, 1, 0), color: 0x69F0AE },
+            z: { direction: new THREE.Vector3(0, 0, 1), color: 0x448AFF }
+        };
+        
+        Object.entries(axes).forEach(([axis, { direction, color }]) => {
+            // Drawn on top of everything so the handles can't hide inside a building
+            const material = new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 });
+            
+            // Translate arrow (built along +Y, then turned onto its axis)
+            const arrow = new THREE.Group();
+            const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 2, 8), material);
+            shaft.position.y = 1;
+            const head = new THREE.Mesh(new THREE.ConeGeometry(0.2, 0.5, 12), material);
+            head.position.y = 2.25;
+            arrow.add(shaft, head);
+            arrow.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+            shaft.userData.gizmo = { mode: 'translate', axis };
+            head.userData.gizmo = { mode: 'translate', axis };
+            
+            // Rotate ring (torus lies in the XY plane, so turn its normal onto the axis)
+            const ring = new THREE.Mesh(new THREE.TorusGeometry(1.5, 0.06, 8, 48), material);
+            ring.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), direction);
+            ring.userData.gizmo = { mode: 'rotate', axis };
+            
+            gizmo.add(arrow, ring);
+        });
+        
+        gizmo.traverse(child => {
+            child.renderOrder = 999;
+        });
+        
+        return gizmo;
+    }
+    
+    updateGizmo() {
+        const selection = this.getSelectedObjects();
+        if (selection.length === 0) {
+            if (this.gizmo) this.gizmo.visible = false;
+            return;
+        }
+        
+        if (!this.gizmo) {
+            this.gizmo = this.createGizmo();
+            this.game.scene.add(this.gizmo);
+        }
+        
+        // Sit at the middle of the selection; group rotations turn around the same point
+        const center = new THREE.Vector3();
+        selection.forEach(obj => center.add(new THREE.Vector3(obj.position.x, obj.position.y, obj.position.z)));
+        center.divideScalar(selection.length);
+        
+        // Keep the handles the same size on screen
+        const scale = Math.max(0.5, this.game.camera.position.distanceTo(center) * 0.06);
+        
+        this.gizmo.position.copy(center);
+        this.gizmo.scale.setScalar(scale);
+        this.gizmo.visible = true;
+    }
+    
+    pickGizmoHandle(e) {
+        if (!this.gizmo || !this.gizmo.visible) return null;
+        
+        const hits = this.getMouseRaycaster(e).intersectObject(this.gizmo, true);
+        const hit = hits.find(h => h.object.userData.gizmo);
+        return hit ? hit.object.userData.gizmo : null;
+    }
+    
+    startGizmoDrag(e, handle) {
+        const selection = this.getSelectedObjects();
+        const center = this.gizmo.position.clone();
+        const axisVector = new THREE.Vector3(
+            handle.axis === 'x' ? 1 : 0,
+            handle.axis === 'y' ? 1 : 0,
+            handle.axis === 'z' ? 1 : 0
+        );
+        
+        let normal;
+        if (handle.mode === 'translate') {
+            // Drag on the plane through the axis that faces the camera the most
+            const viewDir = this.game.camera.getWorldDirection(new THREE.Vector3());
+            normal = viewDir.sub(axisVector.clone().multiplyScalar(viewDir.dot(axisVector)));
+            if (normal.lengthSq() < 1e-6) return false; // Looking straight down the axis
+            normal.normalize();
+        } else {
+            normal = axisVector.clone();
+        }
+        
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, center);
+        const start = this.getMouseRaycaster(e).ray.intersectPlane(plane, new THREE.Vector3());
+        if (!start) return false;
+        
+        this.gizmoDrag = {
+            mode: handle.mode,
+            axisVector: axisVector,
+            plane: plane,
+            center: center,
+            start: start,
+            selection: selection,
+            befores: selection.map(obj => this.getTransform(obj)),
+            afters: null
+        };
+        
+        return true;
+    }
+    
+    updateGizmoDrag(e) {
+        const drag = this.gizmoDrag;
+        const point = this.getMouseRaycaster(e).ray.intersectPlane(drag.plane, new THREE.Vector3());
+        if (!point) return;
+        
+        if (drag.mode === 'translate') {
+            let distance = point.clone().sub(drag.start).dot(drag.axisVector);
+            if (this.gridSize > 0) {
+                distance = Math.round(distance / this.gridSize) * this.gridSize;
+            }
+            
+            const delta = {
+                x: drag.axisVector.x * distance,
+                y: drag.axisVector.y * distance,
+                z: drag.axisVector.z * distance
+            };
+            
+            // Keep the selection above ground
+            const lowest = Math.min(...drag.befores.map(t => t.position.y));
+            delta.y = Math.max(delta.y, -Math.max(0, lowest));
+            
+            drag.afters = distance === 0 ? null : drag.befores.map(t => this.offsetTransform(t, delta));
+        } else {
+            const from = drag.start.clone().sub(drag.center);
+            const to = point.clone().sub(drag.center);
+            let angle = Math.atan2(from.clone().cross(to).dot(drag.axisVector), from.dot(to));
+            if (this.gridSize > 0) {
+                const step = Math.PI / 12; // Same 15° steps as the keyboard
+                angle = Math.round(angle / step) * step;
+            }
+            
+            drag.afters = angle === 0 ? null : this.rotateTransforms(drag.befores, drag.axisVector, angle);
+        }
+        
+        // Preview live; the history entry is made when the drag ends
+        const transforms = drag.afters || drag.befores;
+        drag.selection.forEach((obj, i) => this.applyTransform(obj, transforms[i]));
+    }
+    
+    endGizmoDrag() {
+        const drag = this.gizmoDrag;
+        this.gizmoDrag = null;
+        if (!drag.afters) return;
+        
+        this.transformObjects(drag.selection, drag.befores, drag.afters, drag.mode === 'translate' ? 'Move' : 'Rotate');
+    }
+    
+    updateBoxSelectRect() {
+        const box = this.boxSelect;
+        box.rect.style.left = `${Math.min(box.startX, box.endX)}px`;
+        box.rect.style.top = `${Math.min(box.startY, box.endY)}px`;
+        box.rect.style.width = `${Math.abs(box.endX - box.startX)}px`;
+        box.rect.style.height = `${Math.abs(box.endY - box.startY)}px`;
+    }
+    
+    selectInScreenRect(left, top, right, bottom) {
+        const inside = this.placedObjects.filter(obj => {
+            const mesh = obj.originalObject && obj.originalObject.mesh;
+            const point = mesh
+                ? mesh.position.clone()
+                : new THREE.Vector3(obj.position.x, obj.position.y, obj.position.z);
+            point.project(this.game.camera);
+            
+            // Behind the camera
+            if (point.z > 1) return false;
+            
+            const x = (point.x + 1) / 2 * window.innerWidth;
+            const y = (1 - point.y) / 2 * window.innerHeight;
+            return x >= left && x <= right && y >= top && y <= bottom;
+        });
+        
+        // Box selection adds to what is already selected
+        const selection = this.getSelectedObjects();
+        this.setSelection([...selection, ...inside.filter(obj => !selection.includes(obj))]);
+        
+        console.log(`🔲 Box selected ${inside.length} objects`);
+    }
+    
+    undo() {
+        this.restoreSelectionAfter(() => this.history.undo());
+    }
+    
+    redo() {
+        this.restoreSelectionAfter(() => this.history.redo());
+    }
+    
+    restoreSelectionAfter(action) {
+        // Keep the same objects selected if they are still in the list
+        const selection = this.getSelectedObjects();
+        action();
+        this.setSelection(selection.filter(obj => this.placedObjects.includes(obj)));
+    }
+    
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('creator-undo');
+        const redoBtn = document.getElementById('creator-redo');
+        if (!undoBtn || !redoBtn) return;
+        
+        undoBtn.disabled = !this.history.canUndo();
+        redoBtn.disabled = !this.history.canRedo();
+        undoBtn.style.opacity = undoBtn.disabled ? 0.5 : 1;
+        redoBtn.style.opacity = redoBtn.disabled ? 0.5 : 1;
+    }
+    
+    selectObjectAt(position) {
+        // Find closest object
+        let closestIndex = null;
+        let closestDist = Infinity;
+        
+        this.placedObjects.forEach((obj, index) => {
+            const dist = Math.sqrt(
+                Math.pow(obj.position.x - position.x, 2) +
+                Math.pow(obj.position.z - position.z, 2)
+            );
+            if (dist < closestDist && dist < 2) {
+                closestDist = dist;
+                closestIndex = index;
+            }
+        });
+        
+        // If this is an imported object, sync its position from the game
+        if (closestIndex !== null && this.placedObjects[closestIndex].originalObject) {
+            const gameObj = this.placedObjects[closestIndex].originalObject;
+            if (gameObj && gameObj.mesh && gameObj.mesh.position) {
+                this.placedObjects[closestIndex].position = {
+                    x: parseFloat(gameObj.mesh.position.x.toFixed(1)),
+                    y: parseFloat(gameObj.mesh.position.y.toFixed(1)),
+                    z: parseFloat(gameObj.mesh.position.z.toFixed(1))
+                };
+            }
+        }
+        
+        this.setSelection(closestIndex !== null ? [this.placedObjects[closestIndex]] : []);
     }
     
     deleteSelected() {
         console.log('🗑️ deleteSelected called, selectedObjectIndex:', this.selectedObjectIndex);
         
-        if (this.selectedObjectIndex === null) {
+        const selection = this.getSelectedObjects();
+        if (selection.length === 0) {
             console.log('❌ No object selected');
             return;
         }
         
-        const obj = this.placedObjects[this.selectedObjectIndex];
-        if (!obj) {
-            console.log('❌ Object not found at index:', this.selectedObjectIndex);
+        console.log('🗑️ Deleting objects:', selection.map(obj => obj.subType).join(', '));
+        
+        // Also destroys the objects in the game; undo respawns them at their old list positions
+        const entries = selection
+            .map(obj => ({ obj, index: this.placedObjects.indexOf(obj) }))
+            .sort((a, b) => a.index - b.index);
+        
+        this.clearSelection();
+        this.history.execute({
+            label: selection.length === 1 ? `Delete ${selection[0].subType}` : `Delete ${selection.length} objects`,
+            execute: () => entries.forEach(entry => this.removePlacedObject(entry.obj)),
+            undo: () => entries.forEach(entry => this.insertPlacedObject(entry.obj, entry.index))
+        });
+        
+        console.log('✅ Objects deleted, remaining objects:', this.placedObjects.length);
+    }
+    
+    clearAll() {
+        if (confirm('Clear all placed objects?')) {
+            const before = [...this.placedObjects];
+            
+            this.clearSelection();
+            this.history.execute({
+                label: 'Clear all',
+                execute: () => {
+                    before.forEach(obj => this.detachGameObject(obj));
+                    this.placedObjects = [];
+                },
+                undo: () => {
+                    before.forEach(obj => this.attachGameObject(obj));
+                    this.placedObjects = [...before];
+                }
+            });
+        }
+    }
+    
+    /**
+     * Run the physics on the layout for a few seconds, then show every placed object where it came to rest.
+     * Nothing is changed until applySettle(); objects that fall off the world stay where they were placed.
+     */
+    settleLayout() {
+        if (this.placedObjects.length === 0) {
+            alert('Place some objects before settling!');
             return;
         }
         
-        console.log('🗑️ Deleting object:', obj.subType, 'at index:', this.selectedObjectIndex);
+        this.clearSettlePreview();
         
-        // If it's an imported object, also destroy it in the game
-        if (obj.originalObject) {
-            try {
-                if (obj.type === 'building') {
-                    // Remove from level's buildings array
-                    const index = this.game.level.buildings.indexOf(obj.originalObject);
-                    if (index > -1) {
-                        obj.originalObject.destroy();
-                        this.game.level.buildings.splice(index, 1);
-                        console.log('✅ Destroyed building from game');
-                    }
-                } else if (obj.type === 'target') {
-                    // Remove from level's targets array
-                    const index = this.game.level.targets.indexOf(obj.originalObject);
-                    if (index > -1) {
-                        obj.originalObject.destroy();
-                        this.game.level.targets.splice(index, 1);
-                        console.log('✅ Destroyed target from game');
-                    }
+        const world = this.game.physicsWorld.world;
+        const saved = world.bodies.map(body => ({
+            body,
+            position: body.position.clone(),
+            quaternion: body.quaternion.clone(),
+            velocity: body.velocity.clone(),
+            angularVelocity: body.angularVelocity.clone(),
+            sleepState: body.sleepState
+        }));
+        
+        const objects = this.placedObjects.filter(obj => obj.originalObject && obj.originalObject.body);
+        const starts = objects.map(obj => ({
+            position: obj.originalObject.body.position.clone(),
+            quaternion: obj.originalObject.body.quaternion.clone()
+        }));
+        
+        // Nothing takes damage while settling (falling pieces would otherwise break each other)
+        const physicsWorld = this.game.physicsWorld;
+        const collisionCallbacks = physicsWorld.collisionCallbacks;
+        physicsWorld.clearCollisionCallbacks();
+        
+        objects.forEach(obj => obj.originalObject.body.wakeUp());
+        for (let i = 0; i < SETTLE_SECONDS * 60; i++) {
+            world.step(1 / 60);
+        }
+        
+        physicsWorld.collisionCallbacks = collisionCallbacks;
+        
+        const round = value => Math.round(value * 1000) / 1000;
+        const up = new THREE.Vector3(0, 1, 0);
+        const results = new Map();
+        
+        objects.forEach((obj, i) => {
+            const body = obj.originalObject.body;
+            const start = starts[i];
+            
+            // Apply the body's change in pose to the placed transform (some bodies are offset from their mesh)
+            const offset = body.position.vsub(start.position);
+            const turn = body.quaternion.mult(start.quaternion.conjugate());
+            const turnAngle = 2 * Math.acos(Math.min(1, Math.abs(turn.w)));
+            const distance = offset.length();
+            if (distance < SETTLE_MOVE_DISTANCE && turnAngle < SETTLE_MOVE_ANGLE) return;
+            
+            const rotation = this.getRotation(obj);
+            const quaternion = new THREE.Quaternion(turn.x, turn.y, turn.z, turn.w)
+                .multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z)));
+            const euler = new THREE.Euler().setFromQuaternion(quaternion, 'XYZ');
+            const tilt = up.clone().applyQuaternion(new THREE.Quaternion(turn.x, turn.y, turn.z, turn.w)).angleTo(up);
+            
+            const offWorld = body.position.y < -5; // Level.update() would destroy it
+            results.set(obj, {
+                fell: offWorld || -offset.y > SETTLE_FALL_DROP || tilt > SETTLE_FALL_TILT,
+                offWorld,
+                distance,
+                transform: {
+                    position: {
+                        x: round(obj.position.x + offset.x),
+                        y: round(obj.position.y + offset.y),
+                        z: round(obj.position.z + offset.z)
+                    },
+                    rotationX: euler.x,
+                    rotationY: euler.y,
+                    rotationZ: euler.z
                 }
-            } catch (e) {
-                console.warn('Could not destroy original object:', e);
-            }
+            });
+        });
+        
+        // Put the whole world back, then pose what moved at its settled transform
+        saved.forEach(state => {
+            state.body.position.copy(state.position);
+            state.body.quaternion.copy(state.quaternion);
+            state.body.velocity.copy(state.velocity);
+            state.body.angularVelocity.copy(state.angularVelocity);
+            if (state.sleepState === 2) state.body.sleep(); // CANNON.Body.SLEEPING
+        });
+        objects.forEach(obj => {
+            const result = results.get(obj);
+            this.poseGameObject(obj.originalObject, result && !result.offWorld ? result.transform : this.getTransform(obj));
+        });
+        
+        this.settlePreview = results;
+        this.updateSettlePanel();
+        this.updateObjectsList();
+        
+        const fell = [...results.values()].filter(result => result.fell).length;
+        console.log(`🧱 Settled: ${results.size - fell} moved, ${fell} fell`);
+    }
+    
+    // Write the settled transforms into placedObjects as one undoable change
+    applySettle() {
+        if (!this.settlePreview) return;
+        
+        const settled = [...this.settlePreview].filter(([, result]) => !result.offWorld);
+        this.settlePreview = null;
+        this.updateSettlePanel();
+        
+        if (settled.length === 0) {
+            this.updateObjectsList();
+            return;
         }
         
-        this.placedObjects.splice(this.selectedObjectIndex, 1);
-        this.selectedObjectIndex = null;
+        const objs = settled.map(([obj]) => obj);
+        this.transformObjects(
+            objs,
+            objs.map(obj => this.getTransform(obj)),
+            settled.map(([, result]) => result.transform),
+            'Settle'
+        );
+    }
+    
+    // Return previewed objects to their placed transforms
+    clearSettlePreview() {
+        if (!this.settlePreview) return;
         
-        // Remove highlight
-        if (this.highlightMesh) {
-            this.game.scene.remove(this.highlightMesh);
-            this.highlightMesh = null;
+        const objs = [...this.settlePreview.keys()];
+        this.settlePreview = null;
+        objs.forEach(obj => this.poseGameObject(obj.originalObject, this.getTransform(obj)));
+        
+        this.updateSettlePanel();
+        this.updateObjectsList();
+    }
+    
+    updateSettlePanel() {
+        const resultEl = document.getElementById('creator-settle-result');
+        if (!this.settlePreview) {
+            resultEl.style.display = 'none';
+            return;
+        }
+        
+        const results = [...this.settlePreview.values()];
+        const fell = results.filter(result => result.fell).length;
+        const moved = results.length - fell;
+        document.getElementById('creator-settle-summary').textContent = results.length === 0
+            ? '✅ Nothing moved'
+            : `Settled: ${moved} moved, ${fell} fell`;
+        resultEl.style.display = 'block';
+    }
+    
+    // Oriented box of a placed object, optionally shrunk on every side
+    getObjectBox(obj, shrink = 0) {
+        const size = this.getObjectShape(obj.type, obj.subType).size;
+        const halfSize = new THREE.Vector3(
+            Math.max(0.01, size.x / 2 - shrink),
+            Math.max(0.01, size.y / 2 - shrink),
+            Math.max(0.01, size.z / 2 - shrink)
+        );
+        const rotation = this.getRotation(obj);
+        const matrix = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z));
+        const center = new THREE.Vector3(obj.position.x, obj.position.y, obj.position.z);
+        
+        return new OBB(center, halfSize, new THREE.Matrix3().setFromMatrix4(matrix));
+    }
+    
+    objectsOverlap(a, b) {
+        const shrink = OVERLAP_TOLERANCE / 2;
+        const boxA = this.getObjectBox(a, shrink);
+        const boxB = this.getObjectBox(b, shrink);
+        const radiusA = this.getObjectShape(a.type, a.subType).radius;
+        const radiusB = this.getObjectShape(b.type, b.subType).radius;
+        const upright = obj => !obj.rotationX && !obj.rotationZ;
+        
+        // Boxes, and anything tipped over, use the oriented box test
+        if ((radiusA === null && radiusB === null) || !upright(a) || !upright(b)) {
+            return boxA.intersectsOBB(boxB);
+        }
+        
+        // Upright cylinders: heights must overlap, then compare footprints
+        if (Math.abs(boxA.center.y - boxB.center.y) >= boxA.halfSize.y + boxB.halfSize.y) return false;
+        
+        if (radiusA !== null && radiusB !== null) {
+            const distance = Math.hypot(boxA.center.x - boxB.center.x, boxA.center.z - boxB.center.z);
+            return distance < (radiusA - shrink) + (radiusB - shrink);
         }
         
-        this.updateObjectsList();
+        // Circle against the footprint of a box turned around Y
+        const [circle, radius, rect] = radiusA !== null ? [boxA, radiusA - shrink, boxB] : [boxB, radiusB - shrink, boxA];
+        const local = circle.center.clone().sub(rect.center).applyMatrix3(rect.rotation.clone().transpose());
+        const dx = Math.max(Math.abs(local.x) - rect.halfSize.x, 0);
+        const dz = Math.max(Math.abs(local.z) - rect.halfSize.z, 0);
+        return dx * dx + dz * dz < radius * radius;
+    }
+    
+    getObjectBounds(obj) {
+        const box = this.getObjectBox(obj);
+        return new THREE.Box3().setFromCenterAndSize(new THREE.Vector3(), box.halfSize.clone().multiplyScalar(2))
+            .applyMatrix4(new THREE.Matrix4().setFromMatrix3(box.rotation).setPosition(box.center));
+    }
+    
+    // Furthest horizontal distance a shot at maxPower can reach at a given height (best launch angle, no drag)
+    getMaxReach(height) {
+        const launch = this.game.catapult
+            ? this.game.catapult.getProjectileStartPosition()
+            : new THREE.Vector3(-8, 2.75, 0);
+        const speed = this.game.maxPower || 35;
+        const gravity = Math.abs(this.game.physicsWorld.world.gravity.y);
+        
+        const rise = height - launch.y;
+        const discriminant = speed * speed - 2 * gravity * rise;
+        if (discriminant < 0) return { launch, reach: -Infinity };
         
-        console.log('✅ Object deleted, remaining objects:', this.placedObjects.length);
+        return { launch, reach: (speed / gravity) * Math.sqrt(discriminant) };
     }
     
-    clearAll() {
-        if (confirm('Clear all placed objects?')) {
-            this.placedObjects = [];
-            this.selectedObjectIndex = null;
+    /**
+     * Check the layout for problems. Errors block export until fixed or dismissed;
+     * warnings are informational. Returns [{ obj, code, severity, message }], obj is null for level-wide issues.
+     */
+    validateLayout() {
+        const issues = [];
+        const objects = this.placedObjects.filter(obj => obj.type !== 'scenery'); // Scenery is static dressing
+        const bounds = objects.map(obj => this.getObjectBounds(obj));
+        const label = i => `${objects[i].subType} #${this.placedObjects.indexOf(objects[i]) + 1}`;
+        
+        objects.forEach((obj, i) => {
+            // Overlap
+            const overlapping = [];
+            objects.forEach((other, j) => {
+                if (i !== j && this.objectsOverlap(obj, other)) overlapping.push(label(j));
+            });
+            if (overlapping.length > 0) {
+                issues.push({ obj, code: 'overlap', severity: 'error', message: `Overlaps ${overlapping.join(', ')}` });
+            }
+            
+            // Missing support: something's top face must be just under the bottom of anything off the ground
+            const bottom = bounds[i].min.y;
+            if (bottom > SUPPORT_TOLERANCE) {
+                const supported = objects.some((other, j) => i !== j &&
+                    bounds[j].max.y >= bottom - SUPPORT_TOLERANCE &&
+                    bounds[j].max.y <= bounds[i].max.y &&
+                    bounds[j].min.x < bounds[i].max.x && bounds[j].max.x > bounds[i].min.x &&
+                    bounds[j].min.z < bounds[i].max.z && bounds[j].max.z > bounds[i].min.z
+                );
+                if (!supported) {
+                    issues.push({ obj, code: 'support', severity: 'warning', message: `Nothing underneath (floating ${bottom.toFixed(1)} above ground)` });
+                }
+            }
             
-            // Remove highlight
-            if (this.highlightMesh) {
-                this.game.scene.remove(this.highlightMesh);
-                this.highlightMesh = null;
+            // Out of bounds (inside faces of the boundary walls from Game.createBoundaryWalls)
+            const limit = (this.game.stageSize || 75) - 0.5;
+            if (bounds[i].min.x < -limit || bounds[i].max.x > limit ||
+                bounds[i].min.z < -limit || bounds[i].max.z > limit) {
+                issues.push({ obj, code: 'bounds', severity: 'error', message: `Outside the stage walls (±${limit})` });
             }
             
-            this.updateObjectsList();
+            // Unreachable target
+            if (obj.type === 'target') {
+                const { launch, reach } = this.getMaxReach(obj.position.y);
+                const distance = Math.hypot(obj.position.x - launch.x, obj.position.z - launch.z);
+                if (distance > reach) {
+                    issues.push({ obj, code: 'reach', severity: 'error', message: `Out of catapult range at max power (${distance.toFixed(1)} away)` });
+                }
+            }
+        });
+        
+        if (!objects.some(obj => obj.type === 'target')) {
+            issues.push({ obj: null, code: 'no-targets', severity: 'error', message: 'Level has no targets' });
+        }
+        
+        // Leave out dismissed issues
+        return issues.filter(issue => issue.obj
+            ? !(issue.obj.dismissedIssues || []).includes(issue.code)
+            : !this.dismissedLevelIssues.has(issue.code)
+        );
+    }
+    
+    dismissIssue(obj, code) {
+        if (obj) {
+            obj.dismissedIssues = [...(obj.dismissedIssues || []), code];
+        } else {
+            this.dismissedLevelIssues.add(code);
         }
+        this.updateObjectsList();
+    }
+    
+    renderIssue(issue, key) {
+        const isError = issue.severity === 'error';
+        return `<div style="margin: 2px 0 2px 10px; color: ${isError ? '#FF6B6B' : '#FFC107'};">
+            ${isError ? '❌' : '⚠️'} ${issue.message}
+            <span data-dismiss="${key}" title="Dismiss" style="cursor: pointer; opacity: 0.7; margin-left: 4px;">✕</span>
+        </div>`;
+    }
+    
+    renderSettleResult(obj) {
+        const result = this.settlePreview && this.settlePreview.get(obj);
+        if (!result) return '';
+        
+        const message = result.offWorld
+            ? '💥 Falls off the world'
+            : result.fell
+                ? `💥 Falls when settled (${result.distance.toFixed(1)} away)`
+                : `↘️ Shifts ${result.distance.toFixed(2)} when settled`;
+        return `<div style="margin: 2px 0 2px 10px; color: ${result.fell ? '#FF6B6B' : '#90CAF9'};">${message}</div>`;
     }
     
     updateObjectsList() {
         const listEl = document.getElementById('creator-objects-items');
-        listEl.innerHTML = this.placedObjects.map((obj, i) => {
+        const selection = this.getSelectedObjects();
+        const issues = this.validateLayout();
+        
+        const levelIssues = issues
+            .filter(issue => !issue.obj)
+            .map(issue => this.renderIssue(issue, `level:${issue.code}`))
+            .join('');
+        
+        listEl.innerHTML = levelIssues + this.placedObjects.map((obj, i) => {
             const selected = i === this.selectedObjectIndex ? '👉 ' : '';
-            const icon = obj.type === 'building' ? '🏗️' : '🎯';
+            const icon = { building: '🏗️', target: '🎯', scenery: '🏕️' }[obj.type];
             const imported = obj.imported ? '📥 ' : '';
-            const isSelected = i === this.selectedObjectIndex;
+            const overridden = obj.overrides && Object.keys(obj.overrides).length > 0 ? ' ⚙️' : '';
+            const isSelected = selection.includes(obj);
             
             // Build rotation string
             const rotX = obj.rotationX || 0;
@@ -729,12 +2300,28 @@ export class LevelCreator {
                 onmouseover="this.style.background='rgba(255,255,255,0.1)'"
                 onmouseout="this.style.background='${isSelected ? 'rgba(255, 215, 0, 0.2)' : 'transparent'}'"
             >
-                ${selected}${imported}${icon} ${obj.subType} @ (${obj.position.x.toFixed(1)}, ${obj.position.y.toFixed(1)}, ${obj.position.z.toFixed(1)})${rotationStr}
+                ${selected}${imported}${icon} ${obj.subType} @ (${obj.position.x.toFixed(1)}, ${obj.position.y.toFixed(1)}, ${obj.position.z.toFixed(1)})${rotationStr}${overridden}
+                ${issues.filter(issue => issue.obj === obj).map(issue => this.renderIssue(issue, `${i}:${issue.code}`)).join('')}
+                ${this.renderSettleResult(obj)}
             </div>`;
         }).join('');
         
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        const warningCount = issues.length - errorCount;
+        const issueSummary = issues.length > 0 ? ` ❌${errorCount} ⚠️${warningCount}` : ' ✅';
         document.querySelector('#creator-objects-list strong').textContent = 
-            `Placed Objects (${this.placedObjects.length}):`;
+            `Placed Objects (${this.placedObjects.length}):${issueSummary}`;
+        
+        // Dismiss buttons on validation issues
+        listEl.querySelectorAll('[data-dismiss]').forEach(button => {
+            button.onclick = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                
+                const [index, code] = button.getAttribute('data-dismiss').split(':');
+                this.dismissIssue(index === 'level' ? null : this.placedObjects[parseInt(index)], code);
+            };
+        });
         
         // Add click handlers to list items
         const items = listEl.querySelectorAll('[data-index]');
@@ -744,40 +2331,132 @@ export class LevelCreator {
                 e.stopPropagation();
                 
                 const index = parseInt(item.getAttribute('data-index'));
-                this.selectedObjectIndex = index;
-                
-                console.log(`🎯 Selected object ${index}: ${this.placedObjects[index].subType}`);
                 
-                // Update list to show selection
-                items.forEach(i => {
-                    const idx = parseInt(i.getAttribute('data-index'));
-                    const isSelected = idx === index;
-                    i.style.background = isSelected ? 'rgba(255, 215, 0, 0.2)' : 'transparent';
-                    i.style.color = isSelected ? '#FFD700' : '#fff';
-                    i.style.borderLeft = isSelected ? '3px solid #FFD700' : '3px solid transparent';
-                });
+                // Shift+Click adds/removes from the selection, plain click selects just this one
+                if (e.shiftKey) {
+                    this.toggleSelection(index);
+                } else {
+                    this.setSelection([this.placedObjects[index]]);
+                }
                 
-                // Highlight the selected object in 3D scene
-                this.highlightSelectedObject();
+                console.log(`🎯 Selected object ${index}: ${this.placedObjects[index].subType}`);
             };
         });
         
-        // Sync positions of imported objects with live game objects
-        this.syncImportedObjects();
+        const countEl = document.getElementById('creator-selection-count');
+        if (countEl) {
+            countEl.textContent = `Selected: ${selection.length}`;
+        }
+        
+        this.updatePropertiesPanel();
+        
+        // Sync positions of imported objects with live game objects (unless they are showing their settled pose)
+        if (!this.settlePreview) {
+            this.syncImportedObjects();
+        }
     }
     
-    highlightSelectedObject() {
-        // Remove existing highlight
-        if (this.highlightMesh) {
-            this.game.scene.remove(this.highlightMesh);
-            this.highlightMesh = null;
+    // Current value of each property on a placed object's live game object
+    getObjectProperties(obj) {
+        const gameObj = obj.originalObject;
+        if (!gameObj) return {};
+        
+        const isBuilding = obj.type === 'building';
+        return {
+            hitPoints: isBuilding ? gameObj.maxHitPoints : gameObj.maxHealth,
+            score: isBuilding ? gameObj.scoreValue : gameObj.score,
+            damageThreshold: gameObj.damageThreshold,
+            fragments: isBuilding ? gameObj.fragmentCount : undefined,
+            mass: gameObj.body ? gameObj.body.mass : 0,
+            static: gameObj.body ? gameObj.body.mass === 0 : false
+        };
+    }
+    
+    // Show the primary selection's overrides; blank fields show the type default as a placeholder
+    updatePropertiesPanel() {
+        const panel = document.getElementById('creator-properties');
+        const selection = this.getSelectedObjects().filter(obj => obj.type !== 'scenery');
+        const primary = selection[selection.length - 1];
+        panel.style.display = primary ? 'block' : 'none';
+        if (!primary) return;
+        
+        const overrides = primary.overrides || {};
+        const current = this.getObjectProperties(primary);
+        PROPERTY_FIELDS.forEach(field => {
+            const input = document.getElementById(`creator-prop-${field.key}`);
+            input.value = overrides[field.key] ?? '';
+            input.placeholder = current[field.key] === Infinity ? '∞' : (current[field.key] ?? '');
+        });
+        
+        const staticSelect = document.getElementById('creator-prop-static');
+        staticSelect.value = overrides.static === undefined ? '' : (overrides.static ? 'static' : 'dynamic');
+        staticSelect.options[0].textContent = `Default (${current.static ? 'static' : 'dynamic'})`;
+        
+        // Only buildings are made of a material; the default is the type's usual one
+        const isBuilding = primary.type === 'building';
+        document.getElementById('creator-prop-material-row').style.display = isBuilding ? 'flex' : 'none';
+        if (isBuilding) {
+            const materialSelect = document.getElementById('creator-prop-material');
+            const usualMaterial = primary.originalObject?.getMaterialType(primary.subType);
+            materialSelect.value = overrides.material ?? '';
+            materialSelect.options[0].textContent = `Default (${usualMaterial === 'indestructible' ? 'none' : getBuildingMaterial(usualMaterial).label})`;
         }
+    }
+    
+    // Set (or clear, with undefined) one override on every selected object
+    setOverride(key, value) {
+        const selection = this.getSelectedObjects().filter(obj => obj.type !== 'scenery');
+        if (selection.length === 0) return;
+        
+        const befores = selection.map(obj => ({ ...obj.overrides }));
+        const afters = befores.map(overrides => {
+            const next = { ...overrides };
+            if (value === undefined) {
+                delete next[key];
+            } else {
+                next[key] = value;
+            }
+            return next;
+        });
+        
+        // Respawn so values fixed at creation (hit points, mass, body type) start from the type defaults
+        const apply = values => selection.forEach((obj, i) => {
+            obj.overrides = values[i];
+            this.detachGameObject(obj);
+            this.attachGameObject(obj);
+        });
         
-        // If no selection, return
-        if (this.selectedObjectIndex === null) return;
+        this.history.execute({
+            label: selection.length === 1 ? `Set ${key} on ${selection[0].subType}` : `Set ${key} on ${selection.length} objects`,
+            execute: () => apply(afters),
+            undo: () => apply(befores)
+        });
+        this.highlightSelectedObject();
+    }
+    
+    highlightSelectedObject() {
+        // Remove existing highlights
+        this.removeHighlights();
         
-        const obj = this.placedObjects[this.selectedObjectIndex];
-        if (!obj || !obj.originalObject || !obj.originalObject.mesh) return;
+        // Primary selection pulses gold, the rest of a multi-selection gets a steady blue box
+        this.getSelectedObjects().forEach(obj => {
+            const isPrimary = obj === this.placedObjects[this.selectedObjectIndex];
+            const mesh = this.createHighlightMesh(obj, isPrimary ? 0xFFD700 : 0x4FC3F7);
+            if (!mesh) return;
+            
+            if (isPrimary) {
+                // Add pulsing animation
+                mesh.userData.pulseTime = 0;
+                this.highlightMesh = mesh;
+            } else {
+                this.selectionHighlights.push(mesh);
+            }
+            this.game.scene.add(mesh);
+        });
+    }
+    
+    createHighlightMesh(obj, color) {
+        if (!obj || !obj.originalObject || !obj.originalObject.mesh) return null;
         
         const selectedMesh = obj.originalObject.mesh;
         
@@ -795,29 +2474,40 @@ export class LevelCreator {
         );
         
         const highlightMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFFD700, // Gold color
+            color: color,
             wireframe: true,
             transparent: true,
             opacity: 0.8
         });
         
-        this.highlightMesh = new THREE.Mesh(highlightGeometry, highlightMaterial);
-        this.highlightMesh.position.copy(center);
+        const highlightMesh = new THREE.Mesh(highlightGeometry, highlightMaterial);
+        highlightMesh.position.copy(center);
+        highlightMesh.userData.placedObject = obj;
         
         // Match rotation of the selected object
-        this.highlightMesh.rotation.x = obj.rotationX || 0;
-        this.highlightMesh.rotation.y = obj.rotationY || obj.rotation || 0;
-        this.highlightMesh.rotation.z = obj.rotationZ || 0;
+        highlightMesh.rotation.x = obj.rotationX || 0;
+        highlightMesh.rotation.y = obj.rotationY || obj.rotation || 0;
+        highlightMesh.rotation.z = obj.rotationZ || 0;
         
-        // Add pulsing animation
-        this.highlightMesh.userData.pulseTime = 0;
+        return highlightMesh;
+    }
+    
+    removeHighlights() {
+        if (this.highlightMesh) {
+            this.game.scene.remove(this.highlightMesh);
+            this.highlightMesh = null;
+        }
         
-        this.game.scene.add(this.highlightMesh);
+        this.selectionHighlights.forEach(mesh => this.game.scene.remove(mesh));
+        this.selectionHighlights = [];
     }
     
     syncImportedObjects() {
         // Update positions in game for imported objects that were moved
         this.placedObjects.forEach(obj => {
+            // Scenery meshes follow bodies that sit at an offset, so they never match the placed position
+            if (obj.type === 'scenery') return;
+            
             if (obj.originalObject && obj.originalObject.mesh && obj.originalObject.body) {
                 const gameObj = obj.originalObject;
                 
@@ -848,23 +2538,78 @@ export class LevelCreator {
             this.highlightMesh.userData.pulseTime += deltaTime * 3; // Pulse speed
             const pulse = Math.sin(this.highlightMesh.userData.pulseTime) * 0.5 + 0.5; // 0 to 1
             this.highlightMesh.material.opacity = 0.5 + pulse * 0.4; // Pulse between 0.5 and 0.9
-            
-            // Update position and rotation if object was moved/rotated
-            if (this.selectedObjectIndex !== null) {
-                const obj = this.placedObjects[this.selectedObjectIndex];
-                if (obj && obj.originalObject && obj.originalObject.mesh) {
-                    const selectedMesh = obj.originalObject.mesh;
-                    const box = new THREE.Box3().setFromObject(selectedMesh);
-                    const center = box.getCenter(new THREE.Vector3());
-                    this.highlightMesh.position.copy(center);
-                    
-                    // Update all rotation axes
-                    this.highlightMesh.rotation.x = obj.rotationX || 0;
-                    this.highlightMesh.rotation.y = obj.rotationY || obj.rotation || 0;
-                    this.highlightMesh.rotation.z = obj.rotationZ || 0;
+        }
+        
+        // Update position and rotation if objects were moved/rotated
+        const highlights = this.highlightMesh
+            ? [this.highlightMesh, ...this.selectionHighlights]
+            : this.selectionHighlights;
+        highlights.forEach(highlightMesh => {
+            const obj = highlightMesh.userData.placedObject;
+            if (obj && obj.originalObject && obj.originalObject.mesh) {
+                const selectedMesh = obj.originalObject.mesh;
+                const box = new THREE.Box3().setFromObject(selectedMesh);
+                const center = box.getCenter(new THREE.Vector3());
+                highlightMesh.position.copy(center);
+                
+                // Update all rotation axes
+                highlightMesh.rotation.x = obj.rotationX || 0;
+                highlightMesh.rotation.y = obj.rotationY || obj.rotation || 0;
+                highlightMesh.rotation.z = obj.rotationZ || 0;
+            }
+        });
+        
+        this.updateGizmo();
+    }
+    
+    buildLevelData() {
+        // Round away float noise from baseX offsets; rotations keep full precision
+        const round = value => Math.round(value * 1e6) / 1e6;
+        
+        const toEntry = obj => {
+            const entry = {
+                type: obj.subType,
+                position: {
+                    x: round(obj.position.x - this.baseX),
+                    y: round(obj.position.y),
+                    z: round(obj.position.z)
                 }
+            };
+            
+            const rotX = obj.rotationX || 0;
+            const rotY = obj.rotationY || obj.rotation || 0;
+            const rotZ = obj.rotationZ || 0;
+            if (rotX !== 0 || rotY !== 0 || rotZ !== 0) {
+                entry.rotation = { x: rotX, y: rotY, z: rotZ };
+            }
+            
+            if (obj.overrides && Object.keys(obj.overrides).length > 0) {
+                entry.overrides = { ...obj.overrides };
             }
+            
+            return entry;
+        };
+        
+        const data = {
+            version: LEVEL_FORMAT_VERSION,
+            name: this.levelSettings.name,
+            baseX: this.baseX,
+            ammo: this.levelSettings.ammo,
+            scenerySeed: this.levelSettings.scenerySeed,
+            buildings: this.placedObjects.filter(o => o.type === 'building').map(toEntry),
+            targets: this.placedObjects.filter(o => o.type === 'target').map(toEntry)
+        };
+        
+        if (this.levelSettings.wind) {
+            data.wind = { ...this.levelSettings.wind };
+        }
+        
+        const scenery = this.placedObjects.filter(o => o.type === 'scenery');
+        if (scenery.length > 0) {
+            data.scenery = scenery.map(obj => ({ ...toEntry(obj), params: { ...obj.params } }));
         }
+        
+        return data;
     }
     
     exportLevel() {
@@ -873,69 +2618,443 @@ export class LevelCreator {
             return;
         }
         
-        let code = `    createLevelX() {\n`;
-        code += `        // Generated by Level Creator\n`;
-        code += `        const baseX = ${this.baseX};\n\n`;
+        const errors = this.validateLayout().filter(issue => issue.severity === 'error');
+        if (errors.length > 0) {
+            const lines = errors.map(issue => {
+                const where = issue.obj ? `${issue.obj.subType} #${this.placedObjects.indexOf(issue.obj) + 1}: ` : '';
+                return `• ${where}${issue.message}`;
+            });
+            if (!confirm(`❌ ${errors.length} layout errors:\n${lines.join('\n')}\n\nDismiss them and export anyway?`)) {
+                return;
+            }
+            errors.forEach(issue => this.dismissIssue(issue.obj, issue.code));
+        }
         
-        // Group by type
-        const buildings = this.placedObjects.filter(o => o.type === 'building');
-        const targets = this.placedObjects.filter(o => o.type === 'target');
+        const data = this.buildLevelData();
+        const fileName = `${(data.name || 'level').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        this.downloadJSON(data, fileName);
+    }
+    
+    autosave() {
+        this.drafts.autosave(this.buildLevelData());
         
-        if (buildings.length > 0) {
-            code += `        // Buildings\n`;
-            buildings.forEach((obj, idx) => {
-                const x = obj.position.x === this.baseX ? 'baseX' : 
-                         obj.position.x > this.baseX ? `baseX + ${(obj.position.x - this.baseX).toFixed(1)}` :
-                         `baseX - ${(this.baseX - obj.position.x).toFixed(1)}`;
-                
-                const rotX = obj.rotationX || 0;
-                const rotY = obj.rotationY || obj.rotation || 0;
-                const rotZ = obj.rotationZ || 0;
-                const hasRotation = Math.abs(rotX) > 0.01 || Math.abs(rotY) > 0.01 || Math.abs(rotZ) > 0.01;
-                
-                if (hasRotation) {
-                    code += `        const building${idx} = this.addBuilding(${x}, ${obj.position.y.toFixed(1)}, ${obj.position.z.toFixed(1)}, '${obj.subType}');\n`;
-                    code += `        building${idx}.mesh.rotation.set(${rotX.toFixed(3)}, ${rotY.toFixed(3)}, ${rotZ.toFixed(3)});\n`;
-                    code += `        if (building${idx}.body) building${idx}.body.quaternion.setFromEuler(${rotX.toFixed(3)}, ${rotY.toFixed(3)}, ${rotZ.toFixed(3)});\n`;
-                } else {
-                    code += `        this.addBuilding(${x}, ${obj.position.y.toFixed(1)}, ${obj.position.z.toFixed(1)}, '${obj.subType}');\n`;
-                }
-            });
-            code += '\n';
+        const status = document.getElementById('creator-autosave-status');
+        if (status) {
+            const draft = this.drafts.getActive();
+            status.textContent = `💾 Autosaved${draft ? ` to "${draft}"` : ''} at ${new Date().toLocaleTimeString()}`;
         }
+    }
+    
+    // Returns true if autosaved work was restored
+    offerRecovery() {
+        const saved = this.drafts.getAutosave();
+        if (!saved) return false;
         
-        if (targets.length > 0) {
-            code += `        // Targets\n`;
-            targets.forEach((obj, idx) => {
-                const x = obj.position.x === this.baseX ? 'baseX' : 
-                         obj.position.x > this.baseX ? `baseX + ${(obj.position.x - this.baseX).toFixed(1)}` :
-                         `baseX - ${(this.baseX - obj.position.x).toFixed(1)}`;
-                
-                const rotX = obj.rotationX || 0;
-                const rotY = obj.rotationY || obj.rotation || 0;
-                const rotZ = obj.rotationZ || 0;
-                const hasRotation = Math.abs(rotX) > 0.01 || Math.abs(rotY) > 0.01 || Math.abs(rotZ) > 0.01;
+        let level;
+        try {
+            level = LevelFormat.parse(saved.level);
+        } catch (e) {
+            console.warn('Discarding unreadable autosave:', e);
+            this.drafts.clearAutosave();
+            return false;
+        }
+        
+        const count = level.buildings.length + level.targets.length;
+        if (count === 0) return false;
+        
+        const when = new Date(saved.updatedAt).toLocaleString();
+        const draft = saved.draft ? ` from draft "${saved.draft}"` : '';
+        if (!confirm(`Recover ${count} unsaved objects${draft} (autosaved ${when})?`)) {
+            this.drafts.clearAutosave();
+            return false;
+        }
+        
+        this.drafts.setActive(this.drafts.get(saved.draft) ? saved.draft : null);
+        this.loadLevelData(level);
+        this.updateDraftList();
+        
+        console.log(`♻️ Recovered ${count} autosaved objects`);
+        return true;
+    }
+    
+    updateDraftList() {
+        const select = document.getElementById('creator-draft');
+        const active = this.drafts.getActive();
+        
+        select.innerHTML = '<option value="">(unsaved layout)</option>' + this.drafts.getNames()
+            .map(name => `<option value="${name.replace(/"/g, '&quot;')}">${name.replace(/</g, '&lt;')}</option>`)
+            .join('');
+        select.value = active || '';
+    }
+    
+    promptDraftName(message, defaultName = '') {
+        const name = prompt(message, defaultName);
+        if (!name || !name.trim()) return null;
+        
+        if (this.drafts.get(name.trim())) {
+            alert(`A draft named "${name.trim()}" already exists`);
+            return null;
+        }
+        return name.trim();
+    }
+    
+    openDraft(name) {
+        const active = this.drafts.getActive();
+        if (name === (active || '')) return;
+        
+        // Leaving an unnamed layout only keeps it in the autosave
+        if (!active && this.placedObjects.length > 0 && !confirm('Replace the unsaved layout? Create a draft first to keep it.')) {
+            this.updateDraftList();
+            return;
+        }
+        
+        this.drafts.setActive(name || null);
+        
+        const draft = this.drafts.get(name);
+        if (draft) {
+            try {
+                this.loadLevelData(LevelFormat.parse(draft.level));
                 
-                if (hasRotation) {
-                    code += `        const target${idx} = this.addTarget(${x}, ${obj.position.y.toFixed(1)}, ${obj.position.z.toFixed(1)}, '${obj.subType}');\n`;
-                    code += `        target${idx}.mesh.rotation.set(${rotX.toFixed(3)}, ${rotY.toFixed(3)}, ${rotZ.toFixed(3)});\n`;
-                } else {
-                    code += `        this.addTarget(${x}, ${obj.position.y.toFixed(1)}, ${obj.position.z.toFixed(1)}, '${obj.subType}');\n`;
+                // Undo must not carry another draft's edits into this one
+                this.history.clear();
+            } catch (e) {
+                console.error('❌ Could not open draft:', e);
+                alert(`❌ Could not open draft "${name}":\n${e.message}`);
+            }
+        }
+        
+        this.updateDraftList();
+        console.log(`📝 Opened draft: ${name || '(unsaved layout)'}`);
+    }
+    
+    createDraft() {
+        const name = this.promptDraftName('Name for a new draft of the current layout:');
+        if (!name) return;
+        
+        this.drafts.put(name, this.buildLevelData());
+        this.drafts.setActive(name);
+        this.updateDraftList();
+        this.autosave();
+        
+        console.log(`➕ Created draft "${name}"`);
+    }
+    
+    renameDraft() {
+        const active = this.drafts.getActive();
+        if (!active) {
+            alert('Open a draft to rename it!');
+            return;
+        }
+        
+        const name = this.promptDraftName('New draft name:', active);
+        if (!name) return;
+        
+        this.drafts.rename(active, name);
+        this.updateDraftList();
+        
+        console.log(`✏️ Renamed draft "${active}" to "${name}"`);
+    }
+    
+    duplicateDraft() {
+        const active = this.drafts.getActive();
+        if (!active) {
+            alert('Open a draft to duplicate it!');
+            return;
+        }
+        
+        const name = this.promptDraftName('Name for the copy:', `${active} copy`);
+        if (!name) return;
+        
+        // Keep editing the copy; the original stays as it is now
+        this.drafts.duplicate(active, name);
+        this.drafts.setActive(name);
+        this.updateDraftList();
+        
+        console.log(`📑 Duplicated draft "${active}" as "${name}"`);
+    }
+    
+    deleteDraft() {
+        const active = this.drafts.getActive();
+        if (!active || !confirm(`Delete the draft "${active}"? The layout stays open as an unsaved layout.`)) return;
+        
+        this.drafts.remove(active);
+        this.updateDraftList();
+        this.autosave();
+        
+        console.log(`🗑️ Deleted draft "${active}"`);
+    }
+    
+    downloadJSON(data, fileName) {
+        const json = downloadJSON(data, fileName);
+        console.log(`💾 Exported ${fileName}:\n`, json);
+    }
+    
+    saveSelectionAsPrefab() {
+        const selection = this.getSelectedObjects().filter(obj => obj.type !== 'scenery'); // Prefabs hold buildings and targets
+        if (selection.length === 0) {
+            alert('Select the buildings and targets to save as a prefab first!');
+            return;
+        }
+        
+        const name = prompt('Prefab name:', this.currentPrefab || '');
+        if (!name || !name.trim()) return;
+        
+        if (this.prefabs.get(name.trim()) && !confirm(`Replace the existing prefab "${name.trim()}"?`)) {
+            return;
+        }
+        
+        const prefab = this.prefabs.add(this.buildPrefabData(name, selection));
+        this.currentPrefab = prefab.name;
+        this.updatePrefabList();
+        
+        console.log(`⭐ Saved prefab "${prefab.name}" with ${selection.length} objects`);
+    }
+    
+    buildPrefabData(name, selection) {
+        // Anchor at the center on X/Z and the lowest point on Y, so a prefab sits on whatever it's placed on
+        const centerX = selection.reduce((sum, obj) => sum + obj.position.x, 0) / selection.length;
+        const centerZ = selection.reduce((sum, obj) => sum + obj.position.z, 0) / selection.length;
+        const bottom = Math.min(...selection.map(obj => obj.position.y - this.getHalfHeight(obj.type, obj.subType)));
+        const round = value => Math.round(value * 1e6) / 1e6;
+        
+        const toEntry = obj => {
+            const entry = {
+                type: obj.subType,
+                position: {
+                    x: round(obj.position.x - centerX),
+                    y: round(obj.position.y - bottom),
+                    z: round(obj.position.z - centerZ)
                 }
+            };
+            
+            const rotation = this.getRotation(obj);
+            if (rotation.x !== 0 || rotation.y !== 0 || rotation.z !== 0) {
+                entry.rotation = rotation;
+            }
+            
+            if (obj.overrides && Object.keys(obj.overrides).length > 0) {
+                entry.overrides = { ...obj.overrides };
+            }
+            
+            return entry;
+        };
+        
+        return {
+            version: PREFAB_FORMAT_VERSION,
+            name: name.trim(),
+            buildings: selection.filter(obj => obj.type === 'building').map(toEntry),
+            targets: selection.filter(obj => obj.type === 'target').map(toEntry)
+        };
+    }
+    
+    // Prefab entries turned by the current prefab rotation and moved to a position
+    getPrefabObjects(prefab, position) {
+        const turn = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.prefabRotation);
+        
+        const toPlacedObject = (entry, type) => {
+            const offset = new THREE.Vector3(entry.position.x, entry.position.y, entry.position.z).applyQuaternion(turn);
+            const orientation = new THREE.Quaternion().setFromEuler(
+                new THREE.Euler(entry.rotation.x, entry.rotation.y, entry.rotation.z)
+            );
+            const euler = new THREE.Euler().setFromQuaternion(turn.clone().multiply(orientation));
+            
+            return this.clonePlacedObject({ type: type, subType: entry.type, overrides: entry.overrides }, {
+                position: { x: position.x + offset.x, y: position.y + offset.y, z: position.z + offset.z },
+                rotationX: euler.x,
+                rotationY: euler.y,
+                rotationZ: euler.z
             });
+        };
+        
+        return [
+            ...prefab.buildings.map(entry => toPlacedObject(entry, 'building')),
+            ...prefab.targets.map(entry => toPlacedObject(entry, 'target'))
+        ];
+    }
+    
+    placePrefab(position) {
+        const prefab = this.prefabs.get(this.currentPrefab);
+        if (!prefab) {
+            alert('Choose a prefab to place first!');
+            return;
+        }
+        
+        const anchor = {
+            x: this.snapToGrid(position.x),
+            y: position.y,
+            z: this.snapToGrid(position.z)
+        };
+        const objs = this.getPrefabObjects(prefab, anchor);
+        
+        this.addPlacedObjects(objs, `Place prefab ${prefab.name}`);
+        this.setSelection(objs);
+        
+        console.log(`⭐ Placed prefab "${prefab.name}" (${objs.length} objects)`);
+    }
+    
+    createPrefabGhost(material) {
+        const ghost = new THREE.Group();
+        const prefab = this.prefabs.get(this.currentPrefab);
+        if (!prefab) return ghost;
+        
+        this.getPrefabObjects(prefab, { x: 0, y: 0, z: 0 }).forEach(obj => {
+            const geometry = obj.type === 'building'
+                ? this.getBuildingGeometry(obj.subType)
+                : new THREE.SphereGeometry(0.5, 8, 8);
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(obj.position.x, obj.position.y, obj.position.z);
+            mesh.rotation.set(obj.rotationX, obj.rotationY, obj.rotationZ);
+            ghost.add(mesh);
+        });
+        
+        return ghost;
+    }
+    
+    updatePrefabList() {
+        const names = this.prefabs.getNames();
+        if (!names.includes(this.currentPrefab)) {
+            this.currentPrefab = names[0] || null;
+        }
+        
+        const select = document.getElementById('creator-prefab');
+        select.innerHTML = names.length > 0
+            ? names.map(name => `<option value="${name.replace(/"/g, '&quot;')}">${name.replace(/</g, '&lt;')}</option>`).join('')
+            : '<option value="">(no prefabs yet)</option>';
+        select.value = this.currentPrefab || '';
+        
+        if (this.currentType === 'prefab' && this.isActive) {
+            this.updateGhostObject();
+        }
+    }
+    
+    exportPrefab() {
+        const prefab = this.prefabs.get(this.currentPrefab);
+        if (!prefab) {
+            alert('No prefab to export!');
+            return;
+        }
+        
+        this.downloadJSON(prefab, `${prefab.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.prefab.json`);
+    }
+    
+    deletePrefab() {
+        const prefab = this.prefabs.get(this.currentPrefab);
+        if (!prefab || !confirm(`Delete the prefab "${prefab.name}"?`)) return;
+        
+        this.prefabs.remove(prefab.name);
+        this.updatePrefabList();
+        
+        console.log(`🗑️ Deleted prefab "${prefab.name}"`);
+    }
+    
+    async importPrefabFile(file) {
+        let prefab;
+        try {
+            prefab = PrefabLibrary.parse(await file.text());
+        } catch (e) {
+            console.error('❌ Could not read prefab file:', e);
+            alert(`❌ Could not load ${file.name}:\n${e.message}`);
+            return;
+        }
+        
+        if (this.prefabs.get(prefab.name) && !confirm(`Replace the existing prefab "${prefab.name}"?`)) {
+            return;
+        }
+        
+        this.prefabs.add(prefab);
+        this.currentPrefab = prefab.name;
+        this.updatePrefabList();
+        
+        console.log(`📥 Imported prefab "${prefab.name}"`);
+    }
+    
+    async importLevelFile(file) {
+        let data;
+        try {
+            data = LevelFormat.parse(await file.text());
+        } catch (e) {
+            console.error('❌ Could not read level file:', e);
+            alert(`❌ Could not load ${file.name}:\n${e.message}`);
+            return;
+        }
+        
+        if (this.placedObjects.length > 0) {
+            if (!confirm(`Replace your current work with ${file.name}?`)) {
+                return;
+            }
         }
         
-        code += `    }\n`;
+        this.loadLevelData(data);
+        console.log(`📂 Loaded ${file.name}: ${this.placedObjects.length} objects`);
+    }
+    
+    loadLevelData(data) {
+        const before = [...this.placedObjects];
+        
+        // Level objects the editor isn't tracking are removed too (and restored on undo)
+        const tracked = new Set(before.map(obj => obj.originalObject));
+        const untracked = [
+            ...this.game.level.buildings
+                .filter(building => !building.isDestroyed && !tracked.has(building))
+                .map(building => this.createPlacedObjectFrom(building, 'building')),
+            ...this.game.level.targets
+                .filter(target => !target.isDestroyed && !tracked.has(target))
+                .map(target => this.createPlacedObjectFrom(target, 'target')),
+            ...this.game.level.scenery
+                .filter(asset => !tracked.has(asset))
+                .map(asset => this.createPlacedObjectFrom(asset, 'scenery'))
+        ];
+        
+        const toPlacedObject = (entry, type) => ({
+            type: type,
+            subType: entry.type,
+            position: {
+                x: data.baseX + entry.position.x,
+                y: entry.position.y,
+                z: entry.position.z
+            },
+            rotation: entry.rotation.y, // Legacy
+            rotationX: entry.rotation.x,
+            rotationY: entry.rotation.y,
+            rotationZ: entry.rotation.z,
+            overrides: { ...entry.overrides },
+            imported: true,
+            originalObject: null
+        });
+        const after = [
+            ...data.buildings.map(entry => toPlacedObject(entry, 'building')),
+            ...data.targets.map(entry => toPlacedObject(entry, 'target')),
+            ...data.scenery.map(entry => ({ ...toPlacedObject(entry, 'scenery'), params: { ...entry.params } }))
+        ];
+        
+        const beforeSettings = this.getSettings();
+        const afterSettings = {
+            baseX: data.baseX,
+            levelSettings: {
+                name: data.name,
+                ammo: data.ammo,
+                scenerySeed: data.scenerySeed,
+                wind: data.wind
+            }
+        };
         
-        // Copy to clipboard
-        navigator.clipboard.writeText(code).then(() => {
-            alert('✅ Level code copied to clipboard!\n\nPaste it into src/Level.js');
-        }).catch(() => {
-            // Fallback: show in prompt
-            prompt('Copy this code:', code);
+        this.clearSelection();
+        this.history.execute({
+            label: 'Load level file',
+            execute: () => {
+                [...before, ...untracked].forEach(obj => this.detachGameObject(obj));
+                after.forEach(obj => this.attachGameObject(obj));
+                this.placedObjects = [...after];
+                this.applySettings(afterSettings);
+            },
+            undo: () => {
+                after.forEach(obj => this.detachGameObject(obj));
+                [...before, ...untracked].forEach(obj => this.attachGameObject(obj));
+                this.placedObjects = [...before];
+                this.applySettings(beforeSettings);
+            }
         });
         
-        console.log('Exported Level Code:\n', code);
+        this.highlightSelectedObject();
     }
 }
-
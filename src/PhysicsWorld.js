@@ -1,4 +1,13 @@
 import * as CANNON from 'cannon-es';
+import { getBuildingMaterial } from './simulation/Materials.js';
+import { SpatialBroadphase } from './simulation/SpatialBroadphase.js';
+
+// Seconds of game time per physics step. The world always advances by exactly this,
+// so the same inputs give the same outcome whatever the frame rate
+export const FIXED_TIME_STEP = 1 / 60;
+
+// Slowest relative speed (m/s) at which anything other than the projectile does damage
+export const MIN_IMPACT_SPEED = 3;
 
 export class PhysicsWorld {
     constructor() {
@@ -9,14 +18,16 @@ export class PhysicsWorld {
         // Enable sleeping for better performance and stability
         this.world.allowSleep = true;
         
-        // Improve physics performance
-        this.world.broadphase = new CANNON.NaiveBroadphase();
+        // Improve physics performance: only bodies near a moving one are tested for contact,
+        // so the static scenery around the courtyard costs next to nothing (see SpatialBroadphase)
+        this.world.broadphase = new SpatialBroadphase();
         this.world.solver.iterations = 10;
         
         // Materials and contact properties
         this.groundMaterial = new CANNON.Material('ground');
         this.objectMaterial = new CANNON.Material('object');
         this.projectileMaterial = new CANNON.Material('projectile');
+        this.debrisMaterial = new CANNON.Material('debris');
         
         // Define contact behavior (restitution = 0 to prevent bouncing on spawn)
         const groundObjectContact = new CANNON.ContactMaterial(
@@ -41,60 +52,140 @@ export class PhysicsWorld {
             }
         );
         
+        // Fragments of destroyed buildings tumble and settle rather than bounce
+        const groundDebrisContact = new CANNON.ContactMaterial(
+            this.groundMaterial,
+            this.debrisMaterial,
+            { 
+                friction: 0.5, 
+                restitution: 0.1
+            }
+        );
+        
+        const debrisObjectContact = new CANNON.ContactMaterial(
+            this.debrisMaterial,
+            this.objectMaterial,
+            { 
+                friction: 0.4, 
+                restitution: 0.1
+            }
+        );
+        
         this.world.addContactMaterial(groundObjectContact);
         this.world.addContactMaterial(projectileObjectContact);
+        this.world.addContactMaterial(groundDebrisContact);
+        this.world.addContactMaterial(debrisObjectContact);
+        
+        // Surfaces the building materials are paired with (see getBuildingBodyMaterial), matching the contacts above
+        this.surfaces = new Map([
+            [this.groundMaterial, { friction: 0.4, restitution: 0.01, contactEquationStiffness: 1e8, contactEquationRelaxation: 3 }],
+            [this.projectileMaterial, { friction: 0.3, restitution: 0.6, contactEquationStiffness: 1e7, contactEquationRelaxation: 3 }],
+            [this.objectMaterial, { friction: 0.3, restitution: 0 }],
+            [this.debrisMaterial, { friction: 0.4, restitution: 0.1 }]
+        ]);
+        
+        // Cannon materials of the building materials in use, by name
+        this.buildingMaterials = new Map();
+        
+        // Materials of bodies that can be damaged: targets, scenery and every building material
+        this.objectMaterials = new Set([this.objectMaterial]);
+        
+        // Wind blowing on projectiles (see Wind), set by the level
+        this.wind = null;
         
         // Store collision callbacks
         this.collisionCallbacks = [];
         
+        // Bodies removed from inside a collision callback, taken out once the step is done
+        // (removing a body mid-step breaks cannon's step)
+        this.inCollisionCallback = false;
+        this.pendingRemovals = [];
+        
         // Set up collision event listeners
         this.setupCollisionListeners();
     }
     
     setupCollisionListeners() {
-        // Listen for collision events
+        // Listen for collision events (sent before the contact is solved, so velocities are from just before impact)
         this.world.addEventListener('beginContact', (event) => {
-            const bodyA = event.bodyA;
-            const bodyB = event.bodyB;
-            
-            // Check if one is a projectile and the other is an object
-            const isProjectileCollision = 
-                (bodyA.material === this.projectileMaterial && bodyB.material === this.objectMaterial) ||
-                (bodyB.material === this.projectileMaterial && bodyA.material === this.objectMaterial);
-            
-            if (isProjectileCollision) {
-                // Determine which is projectile and which is object
-                const projectileBody = bodyA.material === this.projectileMaterial ? bodyA : bodyB;
-                const objectBody = bodyA.material === this.projectileMaterial ? bodyB : bodyA;
-                
-                // Calculate impact force
-                const impactForce = this.calculateImpactForce(projectileBody, objectBody);
-                
-                // Notify all registered callbacks
-                this.collisionCallbacks.forEach(callback => {
-                    callback(projectileBody, objectBody, impactForce);
-                });
-            }
+            // Each object in the contact can be damaged by whatever hit it
+            this.reportImpact(event.bodyA, event.bodyB);
+            this.reportImpact(event.bodyB, event.bodyA);
         });
     }
     
-    calculateImpactForce(projectileBody, objectBody) {
-        // Get relative velocity at impact
-        const relativeVelocity = new CANNON.Vec3();
-        projectileBody.velocity.vsub(objectBody.velocity, relativeVelocity);
+    // Notify the callbacks that an object was hit: by the projectile, debris, another object or the ground
+    reportImpact(objectBody, strikerBody) {
+        if (!this.objectMaterials.has(objectBody.material)) return;
         
+        // Anything but the projectile has to hit hard enough, so pieces settling against each other aren't worn down
+        const isProjectile = strikerBody.material === this.projectileMaterial;
+        if (!isProjectile && this.getImpactSpeed(strikerBody, objectBody) < MIN_IMPACT_SPEED) return;
+        
+        // Calculate impact force
+        const impactForce = this.calculateImpactForce(strikerBody, objectBody);
+        
+        // Notify all registered callbacks
+        this.inCollisionCallback = true;
+        try {
+            this.collisionCallbacks.forEach(callback => {
+                callback(strikerBody, objectBody, impactForce);
+            });
+        } finally {
+            this.inCollisionCallback = false;
+        }
+    }
+    
+    // Magnitude of the relative velocity between two bodies
+    getImpactSpeed(bodyA, bodyB) {
+        const relativeVelocity = new CANNON.Vec3();
+        bodyA.velocity.vsub(bodyB.velocity, relativeVelocity);
+        return relativeVelocity.length();
+    }
+    
+    calculateImpactForce(strikerBody, objectBody) {
         // Calculate impact speed (magnitude of relative velocity)
-        const impactSpeed = relativeVelocity.length();
+        const impactSpeed = this.getImpactSpeed(strikerBody, objectBody);
         
         // Calculate impact force using impulse approximation
         // F = m * v (simplified, assumes collision happens over very short time)
-        // Using projectile's mass and relative velocity for force calculation
-        const projectileMass = projectileBody.mass;
-        const impactForce = projectileMass * impactSpeed;
+        // Using the striker's mass and relative velocity for force calculation. Something
+        // immovable (the ground, a static object) stops the object's own momentum instead
+        const strikerMass = strikerBody.mass > 0 ? strikerBody.mass : objectBody.mass;
+        const impactForce = strikerMass * impactSpeed;
         
         return impactForce;
     }
     
+    /**
+     * The Cannon material for a building material (see Materials), made the first time
+     * it's asked for along with its contacts with every other surface: the lower friction
+     * and the higher restitution of the two win, and ground and projectile contacts keep
+     * their stiffness.
+     */
+    getBuildingBodyMaterial(name) {
+        if (this.buildingMaterials.has(name)) {
+            return this.buildingMaterials.get(name);
+        }
+        
+        const definition = getBuildingMaterial(name);
+        const material = new CANNON.Material(name);
+        const surface = { friction: definition.friction, restitution: definition.restitution };
+        
+        this.surfaces.set(material, surface);
+        this.surfaces.forEach((other, otherMaterial) => {
+            this.world.addContactMaterial(new CANNON.ContactMaterial(material, otherMaterial, {
+                ...other,
+                friction: Math.min(surface.friction, other.friction),
+                restitution: Math.max(surface.restitution, other.restitution)
+            }));
+        });
+        
+        this.buildingMaterials.set(name, material);
+        this.objectMaterials.add(material);
+        return material;
+    }
+    
     registerCollisionCallback(callback) {
         this.collisionCallbacks.push(callback);
     }
@@ -103,8 +194,49 @@ export class PhysicsWorld {
         this.collisionCallbacks = [];
     }
     
-    step(deltaTime) {
-        this.world.step(1/60, deltaTime, 3);
+    // Advance the world by one fixed step
+    step() {
+        this.applyWind();
+        this.world.step(FIXED_TIME_STEP);
+        this.flushPendingRemovals();
+        
+        if (this.wind) this.wind.update(FIXED_TIME_STEP);
+    }
+    
+    setWind(wind) {
+        this.wind = wind;
+    }
+    
+    // The wind blowing right now, as a horizontal acceleration (still air if the level has none)
+    getWind() {
+        return this.wind ? { x: this.wind.x, z: this.wind.z } : { x: 0, z: 0 };
+    }
+    
+    // Push projectiles with the wind for the coming step (cannon clears forces after each step)
+    applyWind() {
+        if (!this.wind || this.wind.isCalm()) return;
+        
+        this.world.bodies.forEach(body => {
+            if (body.material !== this.projectileMaterial) return;
+            body.applyForce(new CANNON.Vec3(this.wind.x * body.mass, 0, this.wind.z * body.mass));
+        });
+    }
+    
+    // Restart the world clock. Bodies fall asleep after a stretch of this time, so a
+    // level run from zero plays out the same however long the world has been running
+    resetTime() {
+        this.world.time = 0;
+    }
+    
+    // Give a body a new mass, or make it static (immovable)
+    setBodyMass(body, mass, isStatic = false) {
+        body.type = isStatic ? CANNON.Body.STATIC : CANNON.Body.DYNAMIC;
+        body.mass = isStatic ? 0 : mass;
+        body.updateMassProperties();
+        
+        body.velocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+        body.sleep();
     }
     
     addBody(body) {
@@ -112,9 +244,19 @@ export class PhysicsWorld {
     }
     
     removeBody(body) {
+        if (this.inCollisionCallback) {
+            this.pendingRemovals.push(body);
+            return;
+        }
         this.world.removeBody(body);
     }
     
+    flushPendingRemovals() {
+        const bodies = this.pendingRemovals;
+        this.pendingRemovals = [];
+        bodies.forEach(body => this.world.removeBody(body));
+    }
+    
     getBodyCount() {
         return this.world.bodies.length;
     }
@@ -141,5 +283,45 @@ export class PhysicsWorld {
         this.addBody(groundBody);
         return groundBody;
     }
+    
+    // Invisible walls at +/- stageSize on X and Z to keep objects on stage
+    createBoundaryWalls(stageSize) {
+        const wallHeight = 50;  // Tall enough to catch flying objects
+        const wallThickness = 1;
+        
+        // Create 4 walls (north, south, east, west)
+        const walls = [
+            // North wall (behind targets)
+            { 
+                position: new CANNON.Vec3(0, wallHeight/2, stageSize),
+                size: new CANNON.Vec3(stageSize, wallHeight/2, wallThickness/2)
+            },
+            // South wall (behind catapult)
+            { 
+                position: new CANNON.Vec3(0, wallHeight/2, -stageSize),
+                size: new CANNON.Vec3(stageSize, wallHeight/2, wallThickness/2)
+            },
+            // East wall (right side)
+            { 
+                position: new CANNON.Vec3(stageSize, wallHeight/2, 0),
+                size: new CANNON.Vec3(wallThickness/2, wallHeight/2, stageSize)
+            },
+            // West wall (left side)
+            { 
+                position: new CANNON.Vec3(-stageSize, wallHeight/2, 0),
+                size: new CANNON.Vec3(wallThickness/2, wallHeight/2, stageSize)
+            }
+        ];
+        
+        return walls.map(wall => {
+            const wallBody = new CANNON.Body({
+                mass: 0,  // Static (immovable)
+                shape: new CANNON.Box(wall.size),
+                position: wall.position,
+                material: this.objectMaterial
+            });
+            this.addBody(wallBody);
+            return wallBody;
+        });
+    }
 }
-
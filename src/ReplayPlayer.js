@@ -0,0 +1,288 @@
+import { ReplayFormat } from './simulation/ReplayFormat.js';
+import { getLevelData } from './levels/index.js';
+import { FIXED_TIME_STEP } from './PhysicsWorld.js';
+import { downloadJSON } from './utils/Download.js';
+
+// Playback speeds offered in the replay bar
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * ReplayPlayer - Plays a recorded run (see ReplayFormat) back in the game
+ *
+ * Reloads the replay's level and fires each recorded shot on its tick from
+ * Game.fixedUpdate(). Scrubbing to a shot reloads the level and fast-forwards
+ * the fixed steps up to it, so every shot plays out as it did when recorded.
+ */
+export class ReplayPlayer {
+    constructor(game) {
+        this.game = game;
+        this.isActive = false;
+        this.replay = null;
+        this.nextShot = 0;   // Index of the next shot to fire
+        this.paused = false;
+        this.speed = 1;
+        this.finished = false;
+
+        this.createUI();
+    }
+
+    createUI() {
+        const bar = document.createElement('div');
+        bar.id = 'replay-bar';
+        bar.style.cssText = `
+            position: fixed;
+            top: 10px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(0, 0, 0, 0.9);
+            color: white;
+            padding: 10px 15px;
+            border-radius: 10px;
+            font-family: monospace;
+            font-size: 12px;
+            z-index: 10000;
+            display: none;
+        `;
+
+        const buttonStyle = 'padding: 6px 10px; margin-left: 5px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer; font-weight: bold;';
+        const selectStyle = 'padding: 5px; margin-left: 5px; background: #333; color: white; border: 1px solid #666; border-radius: 5px;';
+
+        bar.innerHTML = `
+            <span id="replay-status" style="color: #FFD700; margin-right: 10px;">🎬 Replay</span>
+            <button id="replay-restart" title="Restart (R)" style="${buttonStyle}">⏮️</button>
+            <button id="replay-pause" title="Play/Pause (Space)" style="${buttonStyle}">⏸️</button>
+            <select id="replay-speed" title="Playback speed" style="${selectStyle}">
+                ${REPLAY_SPEEDS.map(speed => `<option value="${speed}" ${speed === 1 ? 'selected' : ''}>${speed}x</option>`).join('')}
+            </select>
+            <select id="replay-shot" title="Jump to shot" style="${selectStyle}"></select>
+            <button id="replay-save" title="Save replay" style="${buttonStyle}">💾</button>
+            <button id="replay-load" title="Load replay" style="${buttonStyle}">📂</button>
+            <button id="replay-stop" title="Stop (ESC)" style="${buttonStyle} background: #f44336;">⏹️ Stop</button>
+            <input type="file" id="replay-file-input" accept=".json,application/json" style="display: none;">
+        `;
+        document.body.appendChild(bar);
+        this.bar = bar;
+
+        document.getElementById('replay-restart').onclick = () => this.restart();
+        document.getElementById('replay-pause').onclick = () => this.togglePause();
+        document.getElementById('replay-speed').onchange = (e) => {
+            this.speed = parseFloat(e.target.value);
+        };
+        document.getElementById('replay-shot').onchange = (e) => {
+            this.seekToShot(parseInt(e.target.value, 10));
+        };
+        document.getElementById('replay-save').onclick = () => this.save(this.replay);
+        document.getElementById('replay-load').onclick = () => this.openFile();
+        document.getElementById('replay-stop').onclick = () => this.stop();
+
+        const fileInput = document.getElementById('replay-file-input');
+        fileInput.onchange = (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadFile(file);
+        };
+
+        // Controls lose focus after a click so Space keeps toggling playback
+        bar.querySelectorAll('button, select').forEach(control => {
+            control.addEventListener('click', () => control.blur());
+            control.addEventListener('change', () => control.blur());
+        });
+    }
+
+    // Start playing a replay from the beginning of its level
+    start(replay) {
+        if (this.game.isPlayTesting || this.game.levelCreatorActive) {
+            alert('Replays can\'t be watched while the level creator is open.');
+            return;
+        }
+
+        this.replay = ReplayFormat.parse(replay);
+        this.isActive = true;
+        this.paused = false;
+        this.bar.style.display = 'block';
+        this.game.ghostTrails.hide(); // The player's ghost trails would clutter the replay
+
+        const shotSelect = document.getElementById('replay-shot');
+        shotSelect.innerHTML = this.replay.shots
+            .map((shot, index) => `<option value="${index}">Shot ${index + 1}</option>`)
+            .join('');
+
+        this.restart();
+
+        console.log(`🎬 Playing replay: Level ${this.replay.level}, ${this.replay.shots.length} shots`);
+    }
+
+    // Stop watching and hand the level back to the player
+    stop() {
+        if (!this.isActive) return;
+
+        // Reset while still active, so a replayed shot in flight doesn't leave a ghost trail
+        this.game.resetLevel();
+
+        this.isActive = false;
+        this.replay = null;
+        this.bar.style.display = 'none';
+        this.game.ghostTrails.show();
+
+        console.log('⏹️ Replay stopped');
+    }
+
+    // Reload the replay's level and rewind to before the first shot
+    restart() {
+        const game = this.game;
+
+        const gameOverScreen = document.getElementById('game-over');
+        if (gameOverScreen) gameOverScreen.style.display = 'none';
+
+        game.loadLevelNumber(this.replay.level);
+
+        this.nextShot = 0;
+        this.finished = false;
+        this.updateStatus();
+    }
+
+    // Replay up to the given shot and fire it
+    seekToShot(index) {
+        if (!this.isActive || index < 0 || index >= this.replay.shots.length) return;
+
+        this.restart();
+
+        // Fast-forward the fixed steps; earlier shots fire on their ticks along the way
+        const tick = ReplayFormat.getShot(this.replay, index).tick;
+        while (this.game.tick < tick) {
+            this.game.fixedUpdate();
+        }
+        this.fireDueShots();
+
+        this.updateStatus();
+        console.log(`⏩ Replay at shot ${index + 1} (tick ${tick})`);
+    }
+
+    togglePause() {
+        if (!this.isActive) return;
+
+        // Playing on from the end starts the replay over
+        if (this.finished) {
+            this.restart();
+            this.paused = false;
+        } else {
+            this.paused = !this.paused;
+        }
+        this.updateStatus();
+    }
+
+    // Game time that passes per second of real time
+    getTimeScale() {
+        return this.paused ? 0 : this.speed;
+    }
+
+    // Called by Game.fixedUpdate() before each step: fire any shot recorded on this tick
+    fireDueShots() {
+        const game = this.game;
+
+        while (this.nextShot < this.replay.shots.length) {
+            const shot = ReplayFormat.getShot(this.replay, this.nextShot);
+            if (shot.tick > game.tick) break;
+
+            game.catapult.setAim(shot.aimAngleH, shot.aimAngleV);
+            game.power = shot.power;
+            game.launchShot();
+
+            this.nextShot++;
+            this.updateStatus();
+        }
+    }
+
+    // Called by Game.fixedUpdate() after each step: the replay ends once every target is
+    // down or the last shot has played out
+    checkFinished() {
+        if (this.finished) return;
+
+        const game = this.game;
+        const allShotsFired = this.nextShot >= this.replay.shots.length;
+        if (game.level.getRemainingTargets() > 0 && !(allShotsFired && !game.activeProjectile)) return;
+
+        this.finished = true;
+        this.paused = true;
+        this.updateStatus();
+
+        console.log(`🏁 Replay finished after ${(game.tick * FIXED_TIME_STEP).toFixed(1)}s - Score: ${game.calculateFinalScore()}`);
+    }
+
+    updateStatus() {
+        if (!this.isActive) return;
+
+        // The shot in flight, or the first one before it's fired
+        const total = this.replay.shots.length;
+        const current = Math.max(0, this.nextShot - 1);
+
+        const status = document.getElementById('replay-status');
+        if (this.finished) {
+            status.textContent = `🎬 Level ${this.replay.level} - Finished, score ${this.game.calculateFinalScore()}`;
+        } else {
+            status.textContent = `🎬 Level ${this.replay.level} - Shot ${Math.min(current + 1, total)}/${total}`;
+        }
+        if (!ReplayFormat.isCurrent(this.replay)) {
+            status.textContent += ' (older version, may play out differently)';
+        }
+
+        document.getElementById('replay-pause').textContent = this.paused ? '▶️' : '⏸️';
+        document.getElementById('replay-shot').value = String(current);
+    }
+
+    // Playback keys: Space pauses, R restarts, ESC stops. Returns true if the key was handled.
+    handleKey(e) {
+        if (e.code === 'Space') {
+            e.preventDefault();
+            this.togglePause();
+            return true;
+        }
+        if (e.code === 'KeyR') {
+            e.preventDefault();
+            this.restart();
+            return true;
+        }
+        if (e.code === 'Escape') {
+            e.preventDefault();
+            this.stop();
+            return true;
+        }
+
+        // The level creator stays closed while watching
+        if (e.code === 'KeyL' && e.ctrlKey) {
+            e.preventDefault();
+            return true;
+        }
+        return false;
+    }
+
+    save(replay) {
+        if (!replay) return;
+
+        const fileName = `castle-crasher-level-${replay.level}.replay.json`;
+        downloadJSON(replay, fileName, 0);
+
+        console.log(`💾 Saved replay ${fileName} (${replay.shots.length} shots)`);
+    }
+
+    // Pick a replay file to watch
+    openFile() {
+        document.getElementById('replay-file-input').click();
+    }
+
+    async loadFile(file) {
+        let replay;
+        try {
+            replay = ReplayFormat.parse(await file.text());
+            if (!getLevelData(replay.level)) {
+                throw new Error(`Level ${replay.level} doesn't exist`);
+            }
+        } catch (e) {
+            console.error('❌ Could not read replay file:', e);
+            alert(`❌ Could not load ${file.name}:\n${e.message}`);
+            return;
+        }
+
+        this.start(replay);
+    }
+}
@@ -38,7 +38,8 @@ export class TrajectoryPreview {
         this.hide();
     }
     
-    update(startPos, velocity, gravity = 9.82) {
+    // wind: horizontal acceleration on the shot (PhysicsWorld.getWind()), taken as steady over the flight
+    update(startPos, velocity, gravity = 9.82, wind = { x: 0, z: 0 }) {
         const points = [];
         const timeStep = 0.08; // Increased from 0.05 for longer trajectory reach
         let hitGround = false;
@@ -49,9 +50,9 @@ export class TrajectoryPreview {
             const t = i * timeStep;
             
             // Projectile motion equations
-            const x = startPos.x + velocity.x * t;
+            const x = startPos.x + velocity.x * t + 0.5 * wind.x * t * t;
             const y = startPos.y + velocity.y * t - 0.5 * gravity * t * t;
-            const z = startPos.z + velocity.z * t;
+            const z = startPos.z + velocity.z * t + 0.5 * wind.z * t * t;
             
             // Stop if trajectory hits ground
             if (y < 0.1) {
@@ -0,0 +1,165 @@
+/**
+ * LevelFormat - Versioned JSON schema for level data
+ *
+ * A level file looks like:
+ * {
+ *     "version": 1,
+ *     "name": "Tower Base",
+ *     "baseX": 25,
+ *     "ammo": 10,
+ *     "scenerySeed": 24690,
+ *     "wind": { "x": -1.5, "z": 0.5, "gusts": 1 },
+ *     "buildings": [{ "type": "wall", "position": { "x": -1, "y": 1, "z": 0 }, "rotation": { "x": 0, "y": 0, "z": 0 } }],
+ *     "targets": [{ "type": "soldier", "position": { "x": 0, "y": 3.5, "z": 0 }, "overrides": { "hitPoints": 250 } }],
+ *     "scenery": [{ "type": "banner", "position": { "x": 4, "y": 0, "z": 6 }, "params": { "height": 5, "color": "#4169E1" } }]
+ * }
+ *
+ * Object X positions are relative to baseX so a layout can be moved down the
+ * range by changing one value. Rotations are XYZ Euler angles in radians and
+ * may be omitted. Overrides replace an object's type defaults (see OVERRIDE_FIELDS)
+ * and may be omitted. Scenery entries are MedievalAssets props placed by the level;
+ * params are numbers or colour strings and default per asset type.
+ * Wind is a horizontal acceleration in m/s² applied to shots, with gusts of up
+ * to `gusts` m/s² more (see Wind); it may be omitted for still air.
+ */
+
+import { isBuildingMaterial } from '../simulation/Materials.js';
+
+export const LEVEL_FORMAT_VERSION = 1;
+
+// Per-object overrides and the values each one accepts
+export const OVERRIDE_FIELDS = {
+    hitPoints: value => LevelFormat.isNumber(value) && value > 0,
+    score: value => LevelFormat.isNumber(value) && value >= 0,
+    damageThreshold: value => LevelFormat.isNumber(value) && value >= 0,
+    mass: value => LevelFormat.isNumber(value) && value > 0,
+    fragments: value => Number.isInteger(value) && value >= 0,
+    material: value => isBuildingMaterial(value),
+    static: value => typeof value === 'boolean'
+};
+
+export class LevelFormat {
+    /**
+     * Validate raw level data (object or JSON string) and fill in defaults.
+     * Throws an Error describing the first problem found.
+     */
+    static parse(raw) {
+        const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Level data must be an object');
+        }
+
+        const version = data.version ?? 1;
+        if (typeof version !== 'number' || version < 1 || version > LEVEL_FORMAT_VERSION) {
+            throw new Error(`Unsupported level format version: ${data.version}`);
+        }
+
+        if (!LevelFormat.isNumber(data.baseX)) {
+            throw new Error('Level baseX must be a number');
+        }
+
+        return {
+            version: LEVEL_FORMAT_VERSION,
+            name: typeof data.name === 'string' ? data.name : '',
+            baseX: data.baseX,
+            ammo: LevelFormat.isNumber(data.ammo) ? data.ammo : 10,
+            scenerySeed: LevelFormat.isNumber(data.scenerySeed) ? data.scenerySeed : 12345,
+            wind: LevelFormat.parseWind(data.wind),
+            buildings: LevelFormat.parseEntries(data.buildings, 'buildings'),
+            targets: LevelFormat.parseEntries(data.targets, 'targets'),
+            scenery: LevelFormat.parseScenery(data.scenery)
+        };
+    }
+
+    // Wind with defaults filled in; null for still air
+    static parseWind(wind) {
+        if (wind === undefined || wind === null) return null;
+
+        const x = wind.x ?? 0;
+        const z = wind.z ?? 0;
+        const gusts = wind.gusts ?? 0;
+        if (!LevelFormat.isNumber(x) || !LevelFormat.isNumber(z) || !LevelFormat.isNumber(gusts) || gusts < 0) {
+            throw new Error('Level wind must have numeric x, z and gusts (gusts not negative)');
+        }
+
+        return { x, z, gusts };
+    }
+
+    static parseScenery(entries) {
+        return LevelFormat.parseEntries(entries, 'scenery').map((entry, index) => {
+            const params = entry.params ?? {};
+            const isValid = value => LevelFormat.isNumber(value) || typeof value === 'string';
+            if (typeof params !== 'object' || !Object.values(params).every(isValid)) {
+                throw new Error(`Level scenery[${index}] has invalid params`);
+            }
+
+            const { overrides, ...rest } = entry; // Scenery has no per-object overrides
+            return { ...rest, params: { ...params } };
+        });
+    }
+
+    static parseEntries(entries, field) {
+        if (entries === undefined) return [];
+        if (!Array.isArray(entries)) {
+            throw new Error(`Level ${field} must be an array`);
+        }
+
+        return entries.map((entry, index) => {
+            if (!entry || typeof entry.type !== 'string') {
+                throw new Error(`Level ${field}[${index}] is missing a type`);
+            }
+
+            const position = LevelFormat.parseVector(entry.position);
+            if (!position) {
+                throw new Error(`Level ${field}[${index}] has an invalid position`);
+            }
+
+            const rotation = entry.rotation === undefined
+                ? { x: 0, y: 0, z: 0 }
+                : LevelFormat.parseVector(entry.rotation);
+            if (!rotation) {
+                throw new Error(`Level ${field}[${index}] has an invalid rotation`);
+            }
+
+            const overrides = LevelFormat.parseOverrides(entry.overrides);
+            if (!overrides) {
+                throw new Error(`Level ${field}[${index}] has invalid overrides`);
+            }
+
+            return { ...entry, type: entry.type, position, rotation, overrides };
+        });
+    }
+
+    // Known overrides only; null if any of them has a bad value
+    static parseOverrides(overrides) {
+        if (overrides === undefined) return {};
+        if (!overrides || typeof overrides !== 'object') return null;
+
+        const parsed = {};
+        for (const [key, isValid] of Object.entries(OVERRIDE_FIELDS)) {
+            if (overrides[key] === undefined) continue;
+            if (!isValid(overrides[key])) return null;
+            parsed[key] = overrides[key];
+        }
+
+        return parsed;
+    }
+
+    static parseVector(vector) {
+        if (!vector || typeof vector !== 'object') return null;
+
+        const x = vector.x ?? 0;
+        const y = vector.y ?? 0;
+        const z = vector.z ?? 0;
+        if (!LevelFormat.isNumber(x) || !LevelFormat.isNumber(y) || !LevelFormat.isNumber(z)) {
+            return null;
+        }
+
+        return { x, y, z };
+    }
+
+    static isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+}
@@ -0,0 +1,22 @@
+import level01 from './level01.json' with { type: 'json' };
+import level02 from './level02.json' with { type: 'json' };
+import level03 from './level03.json' with { type: 'json' };
+import level04 from './level04.json' with { type: 'json' };
+import level05 from './level05.json' with { type: 'json' };
+import level06 from './level06.json' with { type: 'json' };
+import level07 from './level07.json' with { type: 'json' };
+import level08 from './level08.json' with { type: 'json' };
+import level09 from './level09.json' with { type: 'json' };
+import level10 from './level10.json' with { type: 'json' };
+
+/**
+ * Shipped levels in play order (index 0 is level 1)
+ */
+export const LEVELS = [
+    level01, level02, level03, level04, level05,
+    level06, level07, level08, level09, level10
+];
+
+export function getLevelData(levelNumber) {
+    return LEVELS[levelNumber - 1] || null;
+}
@@ -1,5 +1,9 @@
 import { Game } from './Game.js';
 import { Level } from './Level.js';
+import { SaveSystem } from './utils/SaveSystem.js';
+
+// Expose the save system for the menu's leaderboard submission, which runs before the game loads
+window.SaveSystem = SaveSystem;
 
 // Store game instance globally for reinitialization
 let gameInstance = null;
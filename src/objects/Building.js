@@ -1,102 +1,25 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { BuildingModel } from '../simulation/BuildingModel.js';
+import { getBuildingMaterial } from '../simulation/Materials.js';
+import { getMaterialTexture } from './MaterialTextures.js';
 
-export class Building {
+export class Building extends BuildingModel {
     constructor(scene, physicsWorld, position, buildingType = 'wall') {
+        super(physicsWorld, position, buildingType);
         this.scene = scene;
-        this.physicsWorld = physicsWorld;
-        this.position = position;
-        this.buildingType = buildingType;
         this.mesh = null;
-        this.body = null;
-        this.isDestroyed = false;
         
-        // Check if indestructible
-        this.isIndestructible = buildingType.includes('indestructible');
-        
-        // Material and hit points system
-        this.material = this.getMaterialType(buildingType);
-        this.maxHitPoints = this.isIndestructible ? Infinity : this.getMaxHitPoints();
-        this.hitPoints = this.maxHitPoints;
-        this.damageThreshold = 20; // Minimum force required to damage
-        
-        // Score value based on material and type
-        this.scoreValue = this.calculateScoreValue();
-        
-        this.create();
+        this.createMesh();
     }
     
-    getMaterialType(buildingType) {
-        // Determine if building is wood or stone
-        if (buildingType.includes('indestructible')) {
-            return 'indestructible';
-        }
-        
-        switch(buildingType) {
-            case 'platform':
-                return 'wood';
-            case 'tower':
-            case 'wall':
-                return 'stone';
-            case 'castle':
-                return 'stone';
-            default:
-                return 'wood';
-        }
-    }
-    
-    getMaxHitPoints() {
-        // Set hit points based on material and building type
-        const baseHP = {
-            'wood': 100,
-            'stone': 300
-        };
-        
-        const typeMultiplier = {
-            'platform': 0.8,
-            'wall': 1.0,
-            'tower': 1.5,
-            'castle': 3.0
-        };
-        
-        const base = baseHP[this.material] || 100;
-        const multiplier = typeMultiplier[this.buildingType] || 1.0;
-        
-        return base * multiplier;
-    }
-    
-    calculateScoreValue() {
-        // Indestructible buildings have no score value
-        if (this.isIndestructible) return 0;
-        
-        // Base score by material (stronger material = more points)
-        const materialScore = {
-            'wood': 10,
-            'stone': 25,
-            'indestructible': 0
-        };
-        
-        // Size/type multiplier (bigger structures = more points)
-        const typeMultiplier = {
-            'platform': 0.5,    // Small, easy
-            'wall': 1.0,        // Medium
-            'tower': 2.0,       // Large, tall
-            'castle': 5.0       // Huge, complex
-        };
-        
-        const base = materialScore[this.material] || 10;
-        const multiplier = typeMultiplier[this.buildingType] || 1.0;
-        
-        return Math.round(base * multiplier);
-    }
-    
-    create() {
-        let geometry, material, physicsShape;
+    createMesh() {
+        let geometry, material;
         
         // Handle indestructible variations
-        if (this.buildingType.includes('indestructible')) {
+        if (this.isIndestructible) {
             const baseType = this.buildingType.replace('indestructible-', '');
-            return this.createIndestructible(baseType);
+            return this.createIndestructibleMesh(baseType);
         }
         
         switch(this.buildingType) {
@@ -106,7 +29,6 @@ export class Building {
                     color: 0x808080,
                     roughness: 0.9
                 });
-                physicsShape = new CANNON.Box(new CANNON.Vec3(1.5, 1, 0.25));
                 break;
                 
             case 'tower':
@@ -115,7 +37,6 @@ export class Building {
                     color: 0x654321,
                     roughness: 0.8
                 });
-                physicsShape = new CANNON.Cylinder(0.8, 1, 4, 8);
                 break;
                 
             case 'castle':
@@ -148,22 +69,6 @@ export class Building {
                 this.mesh = group;
                 this.mesh.position.copy(this.position);
                 this.scene.add(this.mesh);
-                
-                this.body = new CANNON.Body({
-                    mass: 50,
-                    shape: new CANNON.Box(new CANNON.Vec3(2, 1.5, 2)),
-                    position: new CANNON.Vec3(this.position.x, this.position.y + 1.5, this.position.z),
-                    material: this.physicsWorld.objectMaterial,
-                    sleepSpeedLimit: 0.1, // Lower threshold for sleep
-                    sleepTimeLimit: 0.1    // Sleep faster
-                });
-                
-                // Freeze object immediately - no bouncing on spawn
-                this.body.velocity.set(0, 0, 0);
-                this.body.angularVelocity.set(0, 0, 0);
-                this.body.sleep();
-                
-                this.physicsWorld.addBody(this.body);
                 return;
                 
             case 'platform':
@@ -172,13 +77,36 @@ export class Building {
                     color: 0x8B4513,
                     roughness: 0.8
                 });
-                physicsShape = new CANNON.Box(new CANNON.Vec3(1.5, 0.15, 1.5));
                 break;
                 
+            case 'explosive-barrel': {
+                // Red barrel with dark hoops, so it reads as dangerous
+                const barrel = new THREE.Group();
+                
+                const body = new THREE.Mesh(
+                    new THREE.CylinderGeometry(0.5, 0.5, 1.2, 12),
+                    new THREE.MeshStandardMaterial({ color: 0xB22222, roughness: 0.6 })
+                );
+                body.castShadow = true;
+                body.receiveShadow = true;
+                barrel.add(body);
+                
+                const hoopMat = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.5, metalness: 0.6 });
+                [-0.4, 0.4].forEach(y => {
+                    const hoop = new THREE.Mesh(new THREE.CylinderGeometry(0.52, 0.52, 0.08, 12), hoopMat);
+                    hoop.position.y = y;
+                    barrel.add(hoop);
+                });
+                
+                this.mesh = barrel;
+                this.mesh.position.copy(this.position);
+                this.scene.add(this.mesh);
+                return;
+            }
+                
             default:
                 geometry = new THREE.BoxGeometry(2, 2, 2);
                 material = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-                physicsShape = new CANNON.Box(new CANNON.Vec3(1, 1, 1));
         }
         
         this.mesh = new THREE.Mesh(geometry, material);
@@ -186,30 +114,10 @@ export class Building {
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
         this.scene.add(this.mesh);
-        
-        // Physics body
-        const mass = this.buildingType === 'platform' || this.buildingType === 'wall' ? 10 : 20;
-        this.body = new CANNON.Body({
-            mass: mass,
-            shape: physicsShape,
-            position: new CANNON.Vec3(this.position.x, this.position.y, this.position.z),
-            material: this.physicsWorld.objectMaterial,
-            sleepSpeedLimit: 0.1, // Lower threshold for sleep
-            sleepTimeLimit: 0.1,   // Sleep faster
-            linearDamping: 0.01,   // Reduce bouncing
-            angularDamping: 0.01   // Reduce rotation
-        });
-        
-        // Freeze object immediately - no bouncing on spawn
-        this.body.velocity.set(0, 0, 0);
-        this.body.angularVelocity.set(0, 0, 0);
-        this.body.sleep();
-        
-        this.physicsWorld.addBody(this.body);
     }
     
-    createIndestructible(baseType) {
-        let geometry, physicsShape, mass;
+    createIndestructibleMesh(baseType) {
+        let geometry;
         
         // Deep purple/black color for indestructible obstacles
         const indestructibleColor = 0x1a0a2e; // Very dark purple, almost black
@@ -224,40 +132,28 @@ export class Building {
         switch(baseType) {
             case 'wall':
                 geometry = new THREE.BoxGeometry(3, 2, 0.5);
-                physicsShape = new CANNON.Box(new CANNON.Vec3(1.5, 1, 0.25));
-                mass = 0; // Static body for indestructible
                 break;
                 
             case 'tower':
                 geometry = new THREE.CylinderGeometry(0.8, 1, 4, 8);
-                physicsShape = new CANNON.Cylinder(0.8, 1, 4, 8);
-                mass = 0; // Static body
                 break;
                 
             case 'platform':
                 geometry = new THREE.BoxGeometry(3, 0.3, 3);
-                physicsShape = new CANNON.Box(new CANNON.Vec3(1.5, 0.15, 1.5));
-                mass = 0; // Static body
                 break;
                 
             case 'pillar':
                 // Tall narrow pillar
                 geometry = new THREE.CylinderGeometry(0.5, 0.6, 6, 8);
-                physicsShape = new CANNON.Cylinder(0.5, 0.6, 6, 8);
-                mass = 0;
                 break;
                 
             case 'block':
                 // Large solid block
                 geometry = new THREE.BoxGeometry(2, 2, 2);
-                physicsShape = new CANNON.Box(new CANNON.Vec3(1, 1, 1));
-                mass = 0;
                 break;
                 
             default:
                 geometry = new THREE.BoxGeometry(2, 2, 2);
-                physicsShape = new CANNON.Box(new CANNON.Vec3(1, 1, 1));
-                mass = 0;
         }
         
         this.mesh = new THREE.Mesh(geometry, material);
@@ -265,46 +161,31 @@ export class Building {
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
         this.scene.add(this.mesh);
-        
-        // Static physics body (mass = 0 means immovable)
-        this.body = new CANNON.Body({
-            mass: mass,
-            shape: physicsShape,
-            position: new CANNON.Vec3(this.position.x, this.position.y, this.position.z),
-            material: this.physicsWorld.objectMaterial,
-            type: CANNON.Body.STATIC // Explicitly set as static
-        });
-        
-        this.physicsWorld.addBody(this.body);
     }
     
-    takeDamage(impactForce) {
-        // Indestructible buildings don't take damage
-        if (this.isIndestructible) {
-            console.log(`🛡️ ${this.buildingType} is indestructible! Impact force: ${impactForce.toFixed(1)}`);
-            return false;
-        }
-        // Calculate damage based on impact force
-        if (impactForce < this.damageThreshold) {
-            return false; // No damage if below threshold
-        }
-        
-        // Calculate damage: force above threshold translates to damage
-        const damage = (impactForce - this.damageThreshold) * 2;
-        this.hitPoints -= damage;
-        
-        console.log(`💥 ${this.buildingType} (${this.material}) hit! Force: ${impactForce.toFixed(1)}, Damage: ${damage.toFixed(1)}, HP: ${this.hitPoints.toFixed(1)}/${this.maxHitPoints}`);
-        
+    onDamaged() {
         // Visual feedback - change color based on damage
         this.updateDamageVisuals();
+    }
+    
+    onMaterialChanged() {
+        // Look like the new material (see Materials); damage tints from its colour
+        const appearance = getBuildingMaterial(this.material).appearance;
+        const texture = getMaterialTexture(appearance.texture);
         
-        // Check if destroyed
-        if (this.hitPoints <= 0) {
-            this.destroy();
-            return true;
-        }
-        
-        return false;
+        this.mesh.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+            
+            const material = child.material;
+            material.color.setHex(appearance.color);
+            material.userData.originalColor = material.color.clone();
+            material.roughness = appearance.roughness;
+            material.metalness = appearance.metalness;
+            material.transparent = appearance.opacity < 1;
+            material.opacity = appearance.opacity;
+            material.map = texture;
+            material.needsUpdate = true;
+        });
     }
     
     updateDamageVisuals() {
@@ -339,28 +220,31 @@ export class Building {
         }
     }
     
+    // Current colour of the building's main material (damage tint included), for its fragments
+    getColor() {
+        let color = null;
+        this.mesh.traverse((child) => {
+            if (!color && child.isMesh && child.material) {
+                color = child.material.color.clone();
+            }
+        });
+        return color || new THREE.Color(0x808080);
+    }
+    
     update(deltaTime) {
-        if (this.isDestroyed) return;
-        
-        // Indestructible buildings are static, no need to update
-        if (this.isIndestructible) return;
-        
-        // Sync visual with physics
-        this.mesh.position.copy(this.body.position);
-        this.mesh.quaternion.copy(this.body.quaternion);
-        
-        // Remove if fallen off the world
-        if (this.body.position.y < -5) {
-            this.destroy();
+        // Sync visual with physics (static bodies never move)
+        if (!this.isDestroyed && this.body.type !== CANNON.Body.STATIC) {
+            this.mesh.position.copy(this.body.position);
+            this.mesh.quaternion.copy(this.body.quaternion);
         }
+        
+        super.update(deltaTime);
     }
     
     destroy() {
         if (this.isDestroyed) return;
         
-        console.log(`💀 ${this.buildingType} (${this.material}) destroyed!`);
-        
-        this.isDestroyed = true;
+        super.destroy();
         
         // Properly dispose of Three.js resources to prevent memory leaks
         if (this.mesh) {
@@ -376,10 +260,5 @@ export class Building {
             }
             this.scene.remove(this.mesh);
         }
-        
-        if (this.body) {
-            this.physicsWorld.removeBody(this.body);
-        }
     }
 }
-
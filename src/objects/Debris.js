@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+import { DebrisModel } from '../simulation/DebrisModel.js';
+import { getBuildingMaterial } from '../simulation/Materials.js';
+
+// Seconds a fragment takes to fade out before it's cleaned up
+const FADE_TIME = 1;
+
+export class Debris extends DebrisModel {
+    constructor(scene, physicsWorld, material, piece, color) {
+        super(physicsWorld, material, piece);
+
+        this.scene = scene;
+        this.mesh = null;
+
+        this.createMesh(color);
+    }
+
+    createMesh(color) {
+        const size = this.halfExtents;
+        const appearance = getBuildingMaterial(this.material).appearance;
+        const geometry = new THREE.BoxGeometry(size.x * 2, size.y * 2, size.z * 2);
+        const material = new THREE.MeshStandardMaterial({
+            color: color,
+            roughness: appearance.roughness,
+            metalness: appearance.metalness,
+            opacity: appearance.opacity,
+            transparent: true
+        });
+        this.opacity = appearance.opacity;
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.copy(this.body.position);
+        this.mesh.quaternion.copy(this.body.quaternion);
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+        this.scene.add(this.mesh);
+    }
+
+    update(deltaTime) {
+        if (!this.isActive) return;
+
+        // Sync visual with physics
+        this.mesh.position.copy(this.body.position);
+        this.mesh.quaternion.copy(this.body.quaternion);
+
+        // Fade out just before being cleaned up
+        const timeLeft = this.maxLifetime - this.lifetime;
+        this.mesh.material.opacity = this.opacity * Math.min(1, Math.max(0, timeLeft / FADE_TIME));
+
+        super.update(deltaTime);
+    }
+
+    remove() {
+        if (!this.isActive) return;
+
+        super.remove();
+        this.scene.remove(this.mesh);
+
+        // Clean up geometry and material
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
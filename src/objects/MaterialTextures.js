@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const TEXTURE_SIZE = 128;
+
+// Painted textures, made once per pattern and shared by every mesh that uses it
+const textures = new Map();
+
+const PAINTERS = {
+    // Wood: long streaks along the grain
+    'grain': (ctx, random) => {
+        for (let i = 0; i < 40; i++) {
+            const y = random() * TEXTURE_SIZE;
+            const shade = 170 + Math.floor(random() * 60);
+            ctx.strokeStyle = `rgb(${shade}, ${shade}, ${shade})`;
+            ctx.lineWidth = 1 + random() * 2;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.bezierCurveTo(TEXTURE_SIZE / 3, y + random() * 6 - 3, TEXTURE_SIZE * 2 / 3, y + random() * 6 - 3, TEXTURE_SIZE, y);
+            ctx.stroke();
+        }
+    },
+
+    // Stone: speckles and darker patches
+    'speckle': (ctx, random) => {
+        for (let i = 0; i < 1200; i++) {
+            const shade = 160 + Math.floor(random() * 95);
+            ctx.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+            ctx.fillRect(random() * TEXTURE_SIZE, random() * TEXTURE_SIZE, 2, 2);
+        }
+    },
+
+    // Ice: thin cracks
+    'frost': (ctx, random) => {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillStyle = '#E8F4F8';
+        ctx.fillRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+        for (let i = 0; i < 25; i++) {
+            let x = random() * TEXTURE_SIZE;
+            let y = random() * TEXTURE_SIZE;
+            ctx.lineWidth = 0.5 + random();
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            for (let j = 0; j < 4; j++) {
+                x += random() * 24 - 12;
+                y += random() * 24 - 12;
+                ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        }
+    },
+
+    // Metal: fine horizontal brushing
+    'brushed': (ctx, random) => {
+        for (let y = 0; y < TEXTURE_SIZE; y++) {
+            const shade = 200 + Math.floor(random() * 55);
+            ctx.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+            ctx.fillRect(0, y, TEXTURE_SIZE, 1);
+        }
+    }
+};
+
+/**
+ * A greyscale texture for a material's surface pattern (see Materials), tinted by the
+ * mesh colour. Returns null for no pattern. Patterns use a fixed seed so they look the
+ * same on every load.
+ */
+export function getMaterialTexture(pattern) {
+    if (!pattern || !PAINTERS[pattern]) return null;
+    if (textures.has(pattern)) return textures.get(pattern);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = TEXTURE_SIZE;
+    canvas.height = TEXTURE_SIZE;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+
+    const random = new SeededRandom(1);
+    PAINTERS[pattern](ctx, () => random.next());
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    textures.set(pattern, texture);
+    return texture;
+}
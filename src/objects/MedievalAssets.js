@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
+import { SCENERY_TYPES, createSceneryBody } from '../simulation/SceneryBodies.js';
 
 /**
  * Medieval Assets - Procedurally generated medieval props for the battlefield
@@ -25,6 +25,49 @@ export class MedievalAssets {
         return this.random ? this.random.pick(array) : array[Math.floor(Math.random() * array.length)];
     }
 
+    /**
+     * Create a scenery asset from level data, turned by an XYZ rotation in radians.
+     * Returns the asset entry, which remembers what it was built from.
+     */
+    createSceneryAsset(type, position, params = {}, rotation = { x: 0, y: 0, z: 0 }) {
+        const definition = SCENERY_TYPES[type];
+        if (!definition) {
+            console.warn(`Unknown scenery type: ${type}`);
+            return null;
+        }
+        
+        const p = { ...definition.params, ...params };
+        switch (type) {
+            case 'tower': this.createTower(position, p.height, p.radius); break;
+            case 'tent': this.createTent(position, p.size, p.color); break;
+            case 'bonfire': this.createBonfire(position, p.size); break;
+            case 'barrel': this.createBarrel(position, p.radius, p.height); break;
+            case 'banner': this.createBanner(position, p.height, p.color); break;
+            case 'fence': this.createFence(position, p.length, p.height); break;
+            case 'well': this.createWell(position, p.height); break;
+            case 'hayBales': this.createHayBales(position, p.count); break;
+        }
+        
+        const asset = this.assets[this.assets.length - 1];
+        asset.scenery = { type, position: position.clone(), params: p };
+        
+        // Bodies sit at an offset from the asset's origin; keep it so the asset can be moved later
+        asset.bodyOffset = new THREE.Vector3().copy(asset.body.position).sub(position);
+        this.poseAsset(asset, position, rotation);
+        
+        return asset;
+    }
+    
+    // Move an asset (mesh and body) to a new origin and rotation
+    poseAsset(asset, position, rotation) {
+        asset.mesh.position.set(position.x, position.y, position.z);
+        asset.mesh.rotation.set(rotation.x, rotation.y, rotation.z);
+        
+        const offset = (asset.bodyOffset || new THREE.Vector3()).clone().applyEuler(asset.mesh.rotation);
+        asset.body.position.set(position.x + offset.x, position.y + offset.y, position.z + offset.z);
+        asset.body.quaternion.setFromEuler(rotation.x, rotation.y, rotation.z);
+    }
+
     // Tower - Medieval stone tower with battlements
     createTower(position, height = 12, radius = 2.5) {
         const group = new THREE.Group();
@@ -99,27 +142,20 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Cylinder(radius, radius * 1.2, height, segments),
-            position: new CANNON.Vec3(position.x, position.y + height / 2 - 5, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'tower', { height, radius }, position);
         
         this.assets.push({ mesh: group, body, type: 'tower' });
         return group;
     }
 
     // Medieval Tent
-    createTent(position, size = 3) {
+    createTent(position, size = 3, tentColor = null) {
         const group = new THREE.Group();
         
         // Tent body (pyramid shape)
         const tentGeo = new THREE.ConeGeometry(size, size * 1.2, 4);
         const colors = [0xDC143C, 0x4169E1, 0xFFD700, 0x228B22]; // Red, Blue, Gold, Green
-        const color = this.randomPick(colors);  
+        const color = tentColor ?? this.randomPick(colors);
         const tentMat = new THREE.MeshStandardMaterial({ 
             color: color,
             flatShading: true,
@@ -170,14 +206,7 @@ export class MedievalAssets {
         this.scene.add(group);  
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Box(new CANNON.Vec3(size * 0.5, size * 0.6, size * 0.5)),
-            position: new CANNON.Vec3(position.x, position.y + size * 0.6, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'tent', { size }, position);
         
         this.assets.push({ mesh: group, body, type: 'tent' });
         return group;
@@ -636,14 +665,7 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, 0.75)),
-            position: new CANNON.Vec3(position.x, position.y + height / 2 - 5, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'gate', { width, height }, position);
         
         this.assets.push({ mesh: group, body, type: 'gate' });
         return group;
@@ -789,14 +811,7 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Small physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Cylinder(ringRadius, ringRadius, 0.3, 8),
-            position: new CANNON.Vec3(position.x, position.y, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'bonfire', { size }, position);
         
         this.assets.push({ mesh: group, body, type: 'bonfire', fireLight });
         return group;
@@ -896,14 +911,7 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Box(new CANNON.Vec3(1, 0.75, 0.15)),
-            position: new CANNON.Vec3(position.x, position.y, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'weaponRack', { weaponCount }, position);
         
         this.assets.push({ mesh: group, body, type: 'weaponRack' });
         return group;
@@ -945,14 +953,7 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Cylinder(radius, radius * 0.9, height, 8),
-            position: new CANNON.Vec3(position.x, position.y, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'barrel', { radius, height }, position);
         
         this.assets.push({ mesh: group, body, type: 'barrel' });
         return group;
@@ -1012,14 +1013,7 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Cylinder(0.08, 0.08, height, 6),
-            position: new CANNON.Vec3(position.x, position.y, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'banner', { height }, position);
         
         this.assets.push({ mesh: group, body, type: 'banner' });
         return group;
@@ -1066,15 +1060,8 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Box(new CANNON.Vec3(length / 2, height / 2, 0.1)),
-            position: new CANNON.Vec3(position.x, position.y, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
+        const body = createSceneryBody(this.physicsWorld, 'fence', { length, height }, position);
         body.quaternion.setFromEuler(0, rotation, 0);
-        this.physicsWorld.addBody(body);
         
         this.assets.push({ mesh: group, body, type: 'fence' });
         return group;
@@ -1157,14 +1144,7 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Box(new CANNON.Vec3(1, height / 2, 1)),
-            position: new CANNON.Vec3(position.x, position.y, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'watchtower', { height }, position);
         
         this.assets.push({ mesh: group, body, type: 'watchtower' });
         return group;
@@ -1207,15 +1187,8 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Box(new CANNON.Vec3(length / 2, height / 2, 0.4)),
-            position: new CANNON.Vec3(position.x, position.y + height / 2 - 5, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        body.quaternion.setFromEuler(0, rotation, 0);
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'stoneWall', { length, height }, position,
+            rotation ? { x: 0, y: rotation, z: 0 } : null);
         
         this.assets.push({ mesh: group, body, type: 'stoneWall' });
         return group;
@@ -1285,14 +1258,7 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body_phys = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Cylinder(0.4, 0.5, height, 8),
-            position: new CANNON.Vec3(position.x, position.y + height / 2, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body_phys);
+        const body_phys = createSceneryBody(this.physicsWorld, 'trainingDummy', { height }, position);
         
         this.assets.push({ mesh: group, body: body_phys, type: 'trainingDummy' });
         return group;
@@ -1378,14 +1344,7 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Cylinder(1.2, 1.4, height, 12),
-            position: new CANNON.Vec3(position.x, position.y + height / 2, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'well', { height }, position);
         
         this.assets.push({ mesh: group, body, type: 'well' });
         return group;
@@ -1443,14 +1402,7 @@ export class MedievalAssets {
         this.scene.add(group);
         
         // Physics body - STATIC (immovable)
-        const body = new CANNON.Body({
-            mass: 0,
-            type: CANNON.Body.STATIC,
-            shape: new CANNON.Box(new CANNON.Vec3(baleWidth, baleHeight * Math.ceil(count/2), baleDepth)),
-            position: new CANNON.Vec3(position.x, position.y - 0.2, position.z),
-            material: this.physicsWorld.objectMaterial
-        });
-        this.physicsWorld.addBody(body);
+        const body = createSceneryBody(this.physicsWorld, 'hayBales', { count }, position);
         
         this.assets.push({ mesh: group, body, type: 'hayBales' });
         return group;
@@ -1582,7 +1534,8 @@ export class MedievalAssets {
     }
 
     clear() {
-        this.assets.forEach(asset => this.removeAsset(asset));
+        // removeAsset() splices this.assets, so walk a copy
+        [...this.assets].forEach(asset => this.removeAsset(asset));
         this.assets = [];
     }
 }
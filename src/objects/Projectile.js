@@ -1,23 +1,24 @@
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
+import { ProjectileModel, PROJECTILE_RADIUS } from '../simulation/ProjectileModel.js';
 
-export class Projectile {
-    constructor(scene, physicsWorld, startPosition, velocity) {
+// Flight path sampling for ghost trails: a point every this many units, up to a cap
+const PATH_POINT_SPACING = 0.25;
+const MAX_PATH_POINTS = 500;
+
+export class Projectile extends ProjectileModel {
+    constructor(scene, physicsWorld, startPosition, velocity, spin) {
+        super(physicsWorld, startPosition, velocity, spin);
+        
         this.scene = scene;
-        this.physicsWorld = physicsWorld;
         this.mesh = null;
-        this.body = null;
-        this.isActive = true;
-        this.lifetime = 0;
-        this.maxLifetime = 10; // Remove after 10 seconds
+        this.path = [new THREE.Vector3().copy(startPosition)]; // Where the stone has been (see GhostTrails)
         
-        this.create(startPosition, velocity);
+        this.createMesh(startPosition);
     }
     
-    create(startPosition, velocity) {
+    createMesh(startPosition) {
         // Visual - Stone cannonball with texture
-        const radius = 0.4;
-        const geometry = new THREE.SphereGeometry(radius, 32, 32);
+        const geometry = new THREE.SphereGeometry(PROJECTILE_RADIUS, 32, 32);
         
         // Create stone texture for cannonball
         const canvas = document.createElement('canvas');
@@ -79,27 +80,6 @@ export class Projectile {
         this.mesh.castShadow = true;
         this.mesh.position.copy(startPosition);
         this.scene.add(this.mesh);
-        
-        // Physics
-        const shape = new CANNON.Sphere(radius);
-        this.body = new CANNON.Body({
-            mass: 10,
-            shape: shape,
-            position: new CANNON.Vec3(startPosition.x, startPosition.y, startPosition.z),
-            material: this.physicsWorld.projectileMaterial,
-            linearDamping: 0.0,  // No air resistance - matches trajectory preview
-            angularDamping: 0.01
-        });
-        
-        this.body.velocity.set(velocity.x, velocity.y, velocity.z);
-        this.physicsWorld.addBody(this.body);
-        
-        // Add some spin for realism
-        this.body.angularVelocity.set(
-            Math.random() - 0.5,
-            Math.random() - 0.5,
-            Math.random() - 0.5
-        );
     }
     
     update(deltaTime) {
@@ -109,25 +89,28 @@ export class Projectile {
         this.mesh.position.copy(this.body.position);
         this.mesh.quaternion.copy(this.body.quaternion);
         
-        // Update lifetime
-        this.lifetime += deltaTime;
+        this.recordPath();
         
-        // Remove if too old or fell too far
-        if (this.lifetime > this.maxLifetime || this.body.position.y < -10) {
-            this.remove();
+        super.update(deltaTime);
+    }
+    
+    recordPath() {
+        if (this.path.length >= MAX_PATH_POINTS) return;
+        
+        const last = this.path[this.path.length - 1];
+        if (last.distanceTo(this.mesh.position) >= PATH_POINT_SPACING) {
+            this.path.push(this.mesh.position.clone());
         }
     }
     
     remove() {
         if (!this.isActive) return;
         
-        this.isActive = false;
+        super.remove();
         this.scene.remove(this.mesh);
-        this.physicsWorld.removeBody(this.body);
         
         // Clean up geometry and material
         this.mesh.geometry.dispose();
         this.mesh.material.dispose();
     }
 }
-
@@ -1,44 +1,16 @@
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
+import { TargetModel } from '../simulation/TargetModel.js';
 
-export class Target {
+export class Target extends TargetModel {
     constructor(scene, physicsWorld, position, type = 'basic') {
+        super(physicsWorld, position, type);
         this.scene = scene;
-        this.physicsWorld = physicsWorld;
-        this.position = position;
-        this.type = type;
         this.mesh = null;
-        this.body = null;
-        this.isDestroyed = false;
-        this.health = this.getHealthForType(type);
-        this.maxHealth = this.health;
-        this.score = this.getScoreForType(type);
         
-        this.create();
+        this.createMesh();
     }
     
-    getHealthForType(type) {
-        const healthMap = {
-            'basic': 50,
-            'soldier': 100,
-            'upgraded-soldier': 150,
-            'loot': 30
-        };
-        return healthMap[type] || 50;
-    }
-    
-    getScoreForType(type) {
-        const scoreMap = {
-            'basic': 100,
-            'soldier': 200,
-            'upgraded-soldier': 300,
-            'loot': 150
-        };
-        return scoreMap[type] || 100;
-    }
-    
-    create() {
-        let geometry, material;
+    createMesh() {
         const size = 0.8;
         
         switch(this.type) {
@@ -61,8 +33,6 @@ export class Target {
                 group.add(head);
                 
                 this.mesh = group;
-                
-                geometry = new CANNON.Cylinder(0.3, 0.4, 1.2, 8);
                 break;
                 
             case 'upgraded-soldier':
@@ -88,7 +58,6 @@ export class Target {
                 ugroup.add(uhead);
                 
                 this.mesh = ugroup;
-                geometry = new CANNON.Cylinder(0.35, 0.45, 1.3, 8);
                 break;
                 
             case 'loot':
@@ -102,8 +71,6 @@ export class Target {
                 this.mesh = new THREE.Mesh(chestGeo, chestMat);
                 this.mesh.castShadow = true;
                 this.mesh.receiveShadow = true;
-                
-                geometry = new CANNON.Box(new CANNON.Vec3(size/2, size * 0.3, size * 0.35));
                 break;
                 
             default: // 'basic' target
@@ -122,58 +89,26 @@ export class Target {
                 const ringMat = new THREE.MeshStandardMaterial({ color: 0xffffff });
                 const ring = new THREE.Mesh(ringGeo, ringMat);
                 this.mesh.add(ring);
-                
-                geometry = new CANNON.Cylinder(size, size, 0.2, 16);
                 break;
         }
         
         this.mesh.position.copy(this.position);
         this.scene.add(this.mesh);
-        
-        // Physics body
-        this.body = new CANNON.Body({
-            mass: this.type === 'loot' ? 2 : 5,
-            shape: geometry,
-            position: new CANNON.Vec3(this.position.x, this.position.y, this.position.z),
-            material: this.physicsWorld.objectMaterial,
-            sleepSpeedLimit: 0.1, // Lower threshold for sleep
-            sleepTimeLimit: 0.1,   // Sleep faster
-            linearDamping: 0.01,   // Reduce bouncing
-            angularDamping: 0.01   // Reduce rotation
-        });
-        
-        // Freeze object immediately - no bouncing on spawn
-        this.body.velocity.set(0, 0, 0);
-        this.body.angularVelocity.set(0, 0, 0);
-        this.body.sleep();
-        
-        this.physicsWorld.addBody(this.body);
     }
     
     update(deltaTime) {
-        if (this.isDestroyed) return;
-        
         // Sync visual with physics
-        this.mesh.position.copy(this.body.position);
-        this.mesh.quaternion.copy(this.body.quaternion);
-        
-        // Check if fallen off the world
-        if (this.body.position.y < -5) {
-            this.destroy();
+        if (!this.isDestroyed) {
+            this.mesh.position.copy(this.body.position);
+            this.mesh.quaternion.copy(this.body.quaternion);
         }
+        
+        super.update(deltaTime);
     }
     
-    takeDamage(amount) {
-        this.health -= amount;
-        
+    onDamaged() {
         // Visual feedback - flash red
-        if (this.health > 0) {
-            this.flashDamage();
-        } else {
-            this.destroy();
-        }
-        
-        return this.health <= 0;
+        this.flashDamage();
     }
     
     flashDamage() {
@@ -190,9 +125,7 @@ export class Target {
     }
     
     destroy() {
-        if (this.isDestroyed) return false;
-        
-        this.isDestroyed = true;
+        if (!super.destroy()) return false;
         
         // Create destruction effect (simple particles)
         this.createDestructionEffect();
@@ -212,10 +145,6 @@ export class Target {
             this.scene.remove(this.mesh);
         }
         
-        if (this.body) {
-            this.physicsWorld.removeBody(this.body);
-        }
-        
         return true;
     }
     
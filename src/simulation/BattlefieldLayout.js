@@ -0,0 +1,244 @@
+/**
+ * BattlefieldLayout - The castle courtyard dressed around every level
+ *
+ * Walls, towers, camps and stores along the edge of the stage, the same for every
+ * level. Each entry is { type, position, params, rotation }, in the order the assets
+ * are built: the game builds meshes around them (see Level), and the headless
+ * simulation builds just their bodies (see SceneryBodies), so both worlds hold the
+ * same static bodies in the same order.
+ */
+
+// Distance to map edge (ground is 150x150, so 75 is edge)
+export const MAP_EDGE = 72;
+
+export function getBattlefieldLayout() {
+    const layout = [];
+    const add = (type, x, z, params = {}, rotationY = 0) => {
+        layout.push({
+            type,
+            position: { x, y: 0, z },
+            params,
+            rotation: rotationY ? { x: 0, y: rotationY, z: 0 } : null
+        });
+    };
+
+    // CASTLE COURTYARD SETUP - Full enclosure at map edges
+    const mapEdge = MAP_EDGE;
+    const wallHeight = 12; // Tall castle walls
+    const wallLength = 12; // Length of each wall segment
+    const gateWidth = 20; // Castle gate width
+
+    // BUILD CASTLE WALLS AROUND THE PERIMETER - COMPLETE ENCLOSURE
+
+    // North wall (behind targets - with main gate at the very edge)
+    const northWallTotal = mapEdge * 2; // Total length needed
+    const northWallSegments = Math.ceil((northWallTotal - gateWidth) / wallLength / 2);
+
+    // Gate in center AT GROUND LEVEL
+    add('gate', 0, mapEdge, { width: gateWidth, height: 18 });
+
+    // Left side walls (west of gate) - TIGHTLY CONNECTED
+    for (let i = 1; i <= northWallSegments; i++) {
+        const offset = -(gateWidth / 2) - (i - 0.5) * wallLength - 0.5; // Closer connection
+        if (Math.abs(offset) < mapEdge - 3) { // Don't overlap corners
+            add('stoneWall', offset, mapEdge, { length: wallLength, height: wallHeight });
+        }
+    }
+
+    // Right side walls (east of gate) - TIGHTLY CONNECTED
+    for (let i = 1; i <= northWallSegments; i++) {
+        const offset = (gateWidth / 2) + (i - 0.5) * wallLength + 0.5; // Closer connection
+        if (Math.abs(offset) < mapEdge - 3) { // Don't overlap corners
+            add('stoneWall', offset, mapEdge, { length: wallLength, height: wallHeight });
+        }
+    }
+
+    // South wall (behind catapult at map edge) - COMPLETE, NO GAPS
+    const southWallSegments = Math.ceil(northWallTotal / wallLength);
+    for (let i = 0; i < southWallSegments; i++) {
+        const offset = -mapEdge + (i + 0.5) * wallLength - 0.5;
+        if (offset < mapEdge - 3) {
+            add('stoneWall', offset, -mapEdge, { length: wallLength, height: wallHeight });
+        }
+    }
+
+    // East wall (right side at map edge) - COMPLETE, NO GAPS
+    const sideWallSegments = Math.ceil(northWallTotal / wallLength);
+    for (let i = 0; i < sideWallSegments; i++) {
+        const offset = -mapEdge + (i + 0.5) * wallLength - 0.5;
+        if (offset < mapEdge - 3 && offset > -mapEdge + 3) {
+            add('stoneWall', mapEdge, offset, { length: wallLength, height: wallHeight }, Math.PI / 2);
+        }
+    }
+
+    // West wall (left side at map edge) - COMPLETE, NO GAPS
+    for (let i = 0; i < sideWallSegments; i++) {
+        const offset = -mapEdge + (i + 0.5) * wallLength - 0.5;
+        if (offset < mapEdge - 3 && offset > -mapEdge + 3) {
+            add('stoneWall', -mapEdge, offset, { length: wallLength, height: wallHeight }, Math.PI / 2);
+        }
+    }
+
+    // Corner towers at map edges
+    const cornerTower = { height: 16, radius: 3.5 };
+    add('tower', mapEdge, mapEdge, cornerTower);
+    add('tower', -mapEdge, mapEdge, cornerTower);
+    add('tower', mapEdge, -mapEdge, cornerTower);
+    add('tower', -mapEdge, -mapEdge, cornerTower);
+
+    // SMART PLACEMENT SYSTEM - Zone-based distribution
+    // Define zones along the walls for different object types
+    const wallInset = 10; // Distance from wall edge
+
+    // Zone 1: Training Area (North side, along gate)
+    const trainingPositions = [
+        { x: -50, z: 60 },
+        { x: -35, z: 60 },
+        { x: 35, z: 60 },
+        { x: 50, z: 60 }
+    ];
+
+    trainingPositions.forEach(pos => add('trainingDummy', pos.x, pos.z, { height: 2.5 }));
+
+    // Zone 2: Weapon Storage (Corners)
+    const weaponRackPositions = [
+        { x: -65, z: 60 },
+        { x: 65, z: 60 },
+        { x: -65, z: -60 },
+        { x: 65, z: -60 },
+        { x: -55, z: 50 },
+        { x: 55, z: 50 },
+        { x: -55, z: -50 },
+        { x: 55, z: -50 }
+    ];
+
+    weaponRackPositions.forEach(pos => add('weaponRack', pos.x, pos.z, { weaponCount: 6 }));
+
+    // Zone 3: Supply Storage (Barrel clusters)
+    const barrelClusters = [
+        { x: -62, z: 62 },
+        { x: 62, z: 62 },
+        { x: -62, z: -62 },
+        { x: 62, z: -62 },
+        { x: -60, z: 40 },
+        { x: 60, z: 40 },
+        { x: -60, z: -40 },
+        { x: 60, z: -40 }
+    ];
+
+    // Each cluster is a bottom layer of 3 barrels plus 2 scattered ones
+    const barrelStack = [
+        { x: -1, z: 0 },
+        { x: 1, z: 0 },
+        { x: 0, z: 1 },
+        { x: 2, z: -1 },
+        { x: -2, z: 1 }
+    ];
+
+    barrelClusters.forEach(pos => {
+        barrelStack.forEach(barrel => add('barrel', pos.x + barrel.x, pos.z + barrel.z, { radius: 0.8, height: 1.5 }));
+    });
+
+    // Zone 4: Hay Storage (distributed along walls)
+    const hayPositions = [
+        { x: -45, z: 62 },
+        { x: 45, z: 62 },
+        { x: -62, z: 30 },
+        { x: 62, z: 30 },
+        { x: -62, z: -30 },
+        { x: 62, z: -30 },
+        { x: -45, z: -62 },
+        { x: 45, z: -62 }
+    ];
+
+    hayPositions.forEach(pos => add('hayBales', pos.x, pos.z, { count: 3 }));
+
+    // Zone 5: Banners (distributed evenly along all walls)
+    const bannerColors = [0xDC143C, 0x4169E1, 0xFFD700, 0x32CD32, 0xFF6347];
+    const bannerPositions = [
+        { x: -mapEdge + wallInset, z: 0 },
+        { x: -mapEdge + wallInset, z: 30 },
+        { x: -mapEdge + wallInset, z: -30 },
+        { x: mapEdge - wallInset, z: 0 },
+        { x: mapEdge - wallInset, z: 30 },
+        { x: mapEdge - wallInset, z: -30 },
+        { x: 0, z: -mapEdge + wallInset },
+        { x: -30, z: -mapEdge + wallInset },
+        { x: 30, z: -mapEdge + wallInset },
+        { x: -mapEdge + wallInset, z: mapEdge - wallInset },
+        { x: mapEdge - wallInset, z: mapEdge - wallInset },
+        { x: -30, z: mapEdge - wallInset },
+        { x: 30, z: mapEdge - wallInset }
+    ];
+
+    bannerPositions.forEach((pos, i) => {
+        add('banner', pos.x, pos.z, { height: 5, color: bannerColors[i % bannerColors.length] });
+    });
+
+    // Zone 6: Camp Area (tents and bonfires)
+    const campPositions = [
+        { x: -58, z: 58 },
+        { x: 58, z: -58 },
+        { x: -58, z: -58 },
+        { x: 58, z: 58 },
+        { x: -50, z: -50 },
+        { x: 50, z: 50 }
+    ];
+
+    // Tents without a color pick one from the level's seeded random generator
+    campPositions.forEach(pos => add('tent', pos.x, pos.z, { size: 3 }));
+
+    // Bonfires near camps
+    const bonfirePositions = [
+        { x: -55, z: -55 },
+        { x: 55, z: 55 },
+        { x: -50, z: 45 },
+        { x: 50, z: -45 },
+        { x: -40, z: -60 },
+        { x: 40, z: 60 }
+    ];
+
+    bonfirePositions.forEach(pos => add('bonfire', pos.x, pos.z, { size: 1.5 }));
+
+    // Zone 7: Water Sources (wells and pond)
+    const wellPositions = [
+        { x: -35, z: 45 },
+        { x: 35, z: -45 }
+    ];
+
+    wellPositions.forEach(pos => add('well', pos.x, pos.z, { height: 2.5 }));
+
+    // Pond in peaceful corner (decorative only, no body)
+    add('pond', -35, -35, { radius: 5 });
+
+    // Zone 8: Additional towers for variety (mid-wall positions)
+    const midWallTowers = [
+        { x: 0, z: -mapEdge + 5 },
+        { x: -40, z: mapEdge - 5 },
+        { x: 40, z: mapEdge - 5 }
+    ];
+
+    midWallTowers.forEach(pos => add('tower', pos.x, pos.z, { height: 14, radius: 3 }));
+
+    // Zone 9: Fences for corralled areas
+    const fencePositions = [
+        { x: -25, z: 50, length: 8, height: 2 },
+        { x: 25, z: 50, length: 8, height: 2 },
+        { x: -25, z: -50, length: 8, height: 2 },
+        { x: 25, z: -50, length: 8, height: 2 }
+    ];
+
+    fencePositions.forEach(fence => add('fence', fence.x, fence.z, { length: fence.length, height: fence.height }));
+
+    // Zone 10: Watchtowers (between corners and mid-wall)
+    const watchtowerPositions = [
+        { x: -mapEdge + 8, z: 40 },
+        { x: -mapEdge + 8, z: -40 },
+        { x: mapEdge - 8, z: 40 },
+        { x: mapEdge - 8, z: -40 }
+    ];
+
+    watchtowerPositions.forEach(pos => add('watchtower', pos.x, pos.z, { height: 8 }));
+
+    return layout;
+}
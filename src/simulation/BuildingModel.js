@@ -0,0 +1,359 @@
+import * as CANNON from 'cannon-es';
+import { getBuildingMaterial } from './Materials.js';
+
+// Pieces each building type breaks into when destroyed (a level can override this per building)
+export const FRAGMENT_COUNTS = {
+    'platform': 4,
+    'wall': 6,
+    'tower': 8,
+    'castle': 12,
+    'explosive-barrel': 4
+};
+
+// Blast of an explosive barrel: reach, push and damage at its center, both falling off to nothing at the edge
+export const BARREL_EXPLOSION = {
+    radius: 4,
+    impulse: 60,
+    force: 120
+};
+
+// Speed (m/s) fragments fly apart at when a building breaks
+const FRAGMENT_BURST_SPEED = 2;
+
+/**
+ * BuildingModel - A building's physics body and damage rules, without any rendering
+ *
+ * Building extends this with its mesh in the browser.
+ */
+export class BuildingModel {
+    constructor(physicsWorld, position, buildingType = 'wall') {
+        this.physicsWorld = physicsWorld;
+        this.position = position;
+        this.buildingType = buildingType;
+        this.body = null;
+        this.isDestroyed = false;
+
+        // Check if indestructible
+        this.isIndestructible = buildingType.includes('indestructible');
+
+        // Explosive buildings blow up when destroyed (see LevelModel.explode)
+        this.explosion = buildingType === 'explosive-barrel' ? { ...BARREL_EXPLOSION } : null;
+
+        // Material and hit points system (see Materials)
+        this.material = this.getMaterialType(buildingType);
+        this.maxHitPoints = this.isIndestructible ? Infinity : this.getMaxHitPoints();
+        this.hitPoints = this.maxHitPoints;
+        this.damageThreshold = getBuildingMaterial(this.material).damageThreshold; // Minimum force required to damage
+
+        // Score value based on material and type
+        this.scoreValue = this.calculateScoreValue();
+
+        // Pieces it breaks into when destroyed (see getFragments)
+        this.fragmentCount = FRAGMENT_COUNTS[buildingType] ?? 4;
+
+        // Per-instance values set by the level (see applyOverrides)
+        this.overrides = {};
+
+        this.createBody();
+    }
+
+    applyOverrides(overrides) {
+        this.overrides = { ...overrides };
+
+        // Material first, since it resets the values the other overrides replace
+        if (overrides.material !== undefined) {
+            this.setMaterial(overrides.material);
+        }
+
+        // Indestructible buildings keep infinite hit points
+        if (overrides.hitPoints !== undefined && !this.isIndestructible) {
+            this.maxHitPoints = overrides.hitPoints;
+            this.hitPoints = overrides.hitPoints;
+        }
+        if (overrides.score !== undefined) {
+            this.scoreValue = overrides.score;
+        }
+        if (overrides.damageThreshold !== undefined) {
+            this.damageThreshold = overrides.damageThreshold;
+        }
+        if (overrides.fragments !== undefined) {
+            this.fragmentCount = overrides.fragments;
+        }
+
+        if (overrides.mass !== undefined || overrides.static !== undefined) {
+            const mass = overrides.mass ?? (this.body.mass || 10);
+            const isStatic = overrides.static ?? this.body.mass === 0;
+            this.physicsWorld.setBodyMass(this.body, mass, isStatic);
+        }
+    }
+
+    // Make the building out of another material, resetting everything the material sets.
+    // Indestructible buildings stay as they are.
+    setMaterial(material) {
+        if (this.isIndestructible) return;
+
+        this.material = material;
+        this.maxHitPoints = this.getMaxHitPoints();
+        this.hitPoints = this.maxHitPoints;
+        this.damageThreshold = getBuildingMaterial(material).damageThreshold;
+        this.scoreValue = this.calculateScoreValue();
+
+        this.body.material = this.physicsWorld.getBuildingBodyMaterial(material);
+        if (this.body.mass > 0) {
+            this.physicsWorld.setBodyMass(this.body, this.getMass());
+        }
+
+        this.onMaterialChanged();
+    }
+
+    // Hook for updating the look when the material changes (see Building)
+    onMaterialChanged() {}
+
+    // The usual material for a building type
+    getMaterialType(buildingType) {
+        // Determine if building is wood or stone
+        if (buildingType.includes('indestructible')) {
+            return 'indestructible';
+        }
+
+        switch(buildingType) {
+            case 'platform':
+                return 'wood';
+            case 'tower':
+            case 'wall':
+                return 'stone';
+            case 'castle':
+                return 'stone';
+            default:
+                return 'wood';
+        }
+    }
+
+    getMaxHitPoints() {
+        // Set hit points based on material and building type
+        const typeMultiplier = {
+            'platform': 0.8,
+            'wall': 1.0,
+            'tower': 1.5,
+            'castle': 3.0,
+            'explosive-barrel': 0.3
+        };
+
+        const base = getBuildingMaterial(this.material).hitPoints;
+        const multiplier = typeMultiplier[this.buildingType] || 1.0;
+
+        return base * multiplier;
+    }
+
+    calculateScoreValue() {
+        // Indestructible buildings have no score value
+        if (this.isIndestructible) return 0;
+
+        // Size/type multiplier (bigger structures = more points)
+        const typeMultiplier = {
+            'platform': 0.5,    // Small, easy
+            'wall': 1.0,        // Medium
+            'tower': 2.0,       // Large, tall
+            'castle': 5.0,      // Huge, complex
+            'explosive-barrel': 0.5
+        };
+
+        // Base score by material (stronger material = more points)
+        const base = getBuildingMaterial(this.material).score;
+        const multiplier = typeMultiplier[this.buildingType] || 1.0;
+
+        return Math.round(base * multiplier);
+    }
+
+    // Physics shape for a building type (the base type for indestructible variants)
+    getPhysicsShape(baseType) {
+        switch(baseType) {
+            case 'wall':
+                return new CANNON.Box(new CANNON.Vec3(1.5, 1, 0.25));
+            case 'tower':
+                return new CANNON.Cylinder(0.8, 1, 4, 8);
+            case 'castle':
+                return new CANNON.Box(new CANNON.Vec3(2, 1.5, 2));
+            case 'platform':
+                return new CANNON.Box(new CANNON.Vec3(1.5, 0.15, 1.5));
+            case 'pillar':
+                // Tall narrow pillar
+                return new CANNON.Cylinder(0.5, 0.6, 6, 8);
+            case 'explosive-barrel':
+                return new CANNON.Cylinder(0.5, 0.5, 1.2, 12);
+            default:
+                return new CANNON.Box(new CANNON.Vec3(1, 1, 1));
+        }
+    }
+
+    // The type's mass in its usual material, scaled by how dense this building's material is
+    getMass() {
+        const baseMass = this.buildingType === 'castle' ? 50
+            : this.buildingType === 'explosive-barrel' ? 5
+            : this.buildingType === 'platform' || this.buildingType === 'wall' ? 10 : 20;
+        const usualMaterial = getBuildingMaterial(this.getMaterialType(this.buildingType));
+
+        return baseMass * getBuildingMaterial(this.material).density / usualMaterial.density;
+    }
+
+    createBody() {
+        const position = this.position;
+
+        if (this.isIndestructible) {
+            // Static physics body (mass = 0 means immovable)
+            this.body = new CANNON.Body({
+                mass: 0,
+                shape: this.getPhysicsShape(this.buildingType.replace('indestructible-', '')),
+                position: new CANNON.Vec3(position.x, position.y, position.z),
+                material: this.physicsWorld.objectMaterial,
+                type: CANNON.Body.STATIC // Explicitly set as static
+            });
+
+            this.physicsWorld.addBody(this.body);
+            return;
+        }
+
+        if (this.buildingType === 'castle') {
+            // The castle's body is centered on its main block, which sits on the castle's origin
+            this.body = new CANNON.Body({
+                mass: this.getMass(),
+                shape: this.getPhysicsShape('castle'),
+                position: new CANNON.Vec3(position.x, position.y + 1.5, position.z),
+                material: this.physicsWorld.getBuildingBodyMaterial(this.material),
+                sleepSpeedLimit: 0.1, // Lower threshold for sleep
+                sleepTimeLimit: 0.1    // Sleep faster
+            });
+        } else {
+            this.body = new CANNON.Body({
+                mass: this.getMass(),
+                shape: this.getPhysicsShape(this.buildingType),
+                position: new CANNON.Vec3(position.x, position.y, position.z),
+                material: this.physicsWorld.getBuildingBodyMaterial(this.material),
+                sleepSpeedLimit: 0.1, // Lower threshold for sleep
+                sleepTimeLimit: 0.1,   // Sleep faster
+                linearDamping: 0.01,   // Reduce bouncing
+                angularDamping: 0.01   // Reduce rotation
+            });
+        }
+
+        // Freeze object immediately - no bouncing on spawn
+        this.body.velocity.set(0, 0, 0);
+        this.body.angularVelocity.set(0, 0, 0);
+        this.body.sleep();
+
+        this.physicsWorld.addBody(this.body);
+    }
+
+    takeDamage(impactForce) {
+        // Indestructible buildings don't take damage
+        if (this.isIndestructible) {
+            console.log(`🛡️ ${this.buildingType} is indestructible! Impact force: ${impactForce.toFixed(1)}`);
+            return false;
+        }
+        // Calculate damage based on impact force
+        if (impactForce < this.damageThreshold) {
+            return false; // No damage if below threshold
+        }
+
+        // Calculate damage: force above threshold translates to damage
+        const damage = (impactForce - this.damageThreshold) * 2 * getBuildingMaterial(this.material).damageMultiplier;
+        this.hitPoints -= damage;
+
+        console.log(`💥 ${this.buildingType} (${this.material}) hit! Force: ${impactForce.toFixed(1)}, Damage: ${damage.toFixed(1)}, HP: ${this.hitPoints.toFixed(1)}/${this.maxHitPoints}`);
+
+        this.onDamaged();
+
+        // Check if destroyed
+        if (this.hitPoints <= 0) {
+            this.destroy();
+            return true;
+        }
+
+        return false;
+    }
+
+    // Hook for visual feedback when damaged (see Building)
+    onDamaged() {}
+
+    update(deltaTime) {
+        if (this.isDestroyed) return;
+
+        // Static bodies (indestructible buildings by default) never move
+        if (this.body.type === CANNON.Body.STATIC) return;
+
+        // Remove if fallen off the world
+        if (this.body.position.y < -5) {
+            this.destroy();
+        }
+    }
+
+    /**
+     * The pieces this building breaks into: its body's bounds cut into a grid of
+     * fragmentCount cells, each holding one box sized by material. Fragments keep
+     * the building's motion and fly outward from its center. Each piece is
+     * { position, halfExtents, quaternion, velocity, angularVelocity, mass }.
+     */
+    getFragments() {
+        if (this.isIndestructible || this.fragmentCount <= 0) return [];
+
+        const body = this.body;
+        const min = new CANNON.Vec3();
+        const max = new CANNON.Vec3();
+        body.shapes[0].calculateWorldAABB(new CANNON.Vec3(), new CANNON.Quaternion(), min, max);
+        const size = [max.x - min.x, max.y - min.y, max.z - min.z];
+
+        // Keep cutting the longest cell side until there are enough cells
+        const cells = [1, 1, 1];
+        while (cells[0] * cells[1] * cells[2] < this.fragmentCount) {
+            const cellSizes = size.map((length, axis) => length / cells[axis]);
+            cells[cellSizes.indexOf(Math.max(...cellSizes))]++;
+        }
+        const cellSize = size.map((length, axis) => length / cells[axis]);
+
+        const fill = getBuildingMaterial(this.material).fragmentSize;
+        const halfExtents = { x: cellSize[0] / 2 * fill, y: cellSize[1] / 2 * fill, z: cellSize[2] / 2 * fill };
+        const mass = (body.mass || 10) / this.fragmentCount; // Static buildings break into loose pieces
+
+        // Fill the grid bottom layer first, so any spare cells are at the top
+        const fragments = [];
+        for (let y = 0; y < cells[1]; y++) {
+            for (let x = 0; x < cells[0]; x++) {
+                for (let z = 0; z < cells[2]; z++) {
+                    if (fragments.length === this.fragmentCount) return fragments;
+
+                    const offset = new CANNON.Vec3(
+                        min.x + (x + 0.5) * cellSize[0],
+                        min.y + (y + 0.5) * cellSize[1],
+                        min.z + (z + 0.5) * cellSize[2]
+                    );
+                    const worldOffset = body.quaternion.vmult(offset);
+
+                    const outward = worldOffset.clone();
+                    if (outward.normalize() === 0) outward.set(0, 1, 0);
+
+                    fragments.push({
+                        position: body.position.vadd(worldOffset),
+                        halfExtents,
+                        quaternion: body.quaternion.clone(),
+                        velocity: body.velocity.vadd(outward.scale(FRAGMENT_BURST_SPEED)),
+                        angularVelocity: body.angularVelocity.clone(),
+                        mass
+                    });
+                }
+            }
+        }
+        return fragments;
+    }
+
+    destroy() {
+        if (this.isDestroyed) return;
+
+        console.log(`💀 ${this.buildingType} (${this.material}) destroyed!`);
+
+        this.isDestroyed = true;
+
+        if (this.body) {
+            this.physicsWorld.removeBody(this.body);
+        }
+    }
+}
@@ -0,0 +1,65 @@
+import * as CANNON from 'cannon-es';
+
+// Seconds a fragment stays in play before it's cleaned up
+export const DEBRIS_LIFETIME = 8;
+
+/**
+ * DebrisModel - A fragment of a destroyed building, without any rendering
+ *
+ * Fragments are boxes made by BuildingModel.getFragments(). They're physically
+ * simulated and damage buildings they hit hard enough (see PhysicsWorld).
+ * Debris extends this with its mesh in the browser.
+ */
+export class DebrisModel {
+    // piece: { position, halfExtents, quaternion, velocity, angularVelocity, mass }
+    constructor(physicsWorld, material, piece) {
+        this.physicsWorld = physicsWorld;
+        this.material = material; // A BUILDING_MATERIALS name (see Materials.js), from the building it broke off
+        this.halfExtents = piece.halfExtents;
+        this.body = null;
+        this.isActive = true;
+        this.lifetime = 0;
+        this.maxLifetime = DEBRIS_LIFETIME;
+
+        this.createBody(piece);
+    }
+
+    createBody(piece) {
+        const { position, halfExtents, quaternion, velocity, angularVelocity } = piece;
+
+        this.body = new CANNON.Body({
+            mass: piece.mass,
+            shape: new CANNON.Box(new CANNON.Vec3(halfExtents.x, halfExtents.y, halfExtents.z)),
+            position: new CANNON.Vec3(position.x, position.y, position.z),
+            quaternion: new CANNON.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w),
+            material: this.physicsWorld.debrisMaterial,
+            sleepSpeedLimit: 0.2, // Fragments are the most numerous bodies; let them rest early
+            sleepTimeLimit: 0.3,
+            linearDamping: 0.05,
+            angularDamping: 0.1
+        });
+
+        this.body.velocity.set(velocity.x, velocity.y, velocity.z);
+        this.body.angularVelocity.set(angularVelocity.x, angularVelocity.y, angularVelocity.z);
+
+        this.physicsWorld.addBody(this.body);
+    }
+
+    update(deltaTime) {
+        if (!this.isActive) return;
+
+        this.lifetime += deltaTime;
+
+        // Remove once it's been lying around long enough, or fell off the world
+        if (this.lifetime > this.maxLifetime || this.body.position.y < -5) {
+            this.remove();
+        }
+    }
+
+    remove() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.physicsWorld.removeBody(this.body);
+    }
+}
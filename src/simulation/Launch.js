@@ -0,0 +1,77 @@
+/**
+ * Launch - Where a shot leaves the catapult and how fast, from its aim angles and power
+ *
+ * Plain math so the headless simulation and the catapult model agree on every shot.
+ */
+
+// Catapult base position in the world
+export const CATAPULT_POSITION = { x: -8, y: 0.25, z: 0 };
+
+// Vertical aim limits: ~6 degrees above horizontal up to nearly straight up (~89 degrees)
+export const MIN_AIM_ANGLE_V = 0.1;
+export const MAX_AIM_ANGLE_V = Math.PI / 2 - 0.01;
+
+// Launch speed limits
+export const MIN_POWER = 5;
+export const MAX_POWER = 35;
+
+// Seconds a shot plays out before the catapult reloads
+export const SHOT_DURATION = 5;
+
+// Catapult arm geometry: pivot height above the base, and bucket distance along the arm
+const ARM_PIVOT_HEIGHT = 2.2;
+const ARM_LENGTH = 2.5;
+
+export function clampAimAngleV(angle) {
+    return Math.max(MIN_AIM_ANGLE_V, Math.min(MAX_AIM_ANGLE_V, angle));
+}
+
+export function clampPower(power) {
+    return Math.max(MIN_POWER, Math.min(MAX_POWER, power));
+}
+
+// World position of the catapult bucket, where the projectile starts
+export function getLaunchPosition(aimAngleH, aimAngleV, catapultPosition = CATAPULT_POSITION) {
+    // The cocked arm leans back from upright as the vertical aim drops...
+    const lean = -ARM_LENGTH * Math.cos(aimAngleV);
+
+    // ...and the whole catapult turns around Y by the horizontal aim angle
+    return {
+        x: catapultPosition.x + lean * Math.sin(aimAngleH),
+        y: catapultPosition.y + ARM_PIVOT_HEIGHT + ARM_LENGTH * Math.sin(aimAngleV),
+        z: catapultPosition.z + lean * Math.cos(aimAngleH)
+    };
+}
+
+export function getLaunchVelocity(aimAngleH, aimAngleV, power) {
+    return {
+        x: Math.sin(aimAngleH) * Math.cos(aimAngleV) * power,
+        y: Math.sin(aimAngleV) * power,
+        z: Math.cos(aimAngleH) * Math.cos(aimAngleV) * power
+    };
+}
+
+// Aim for a shot at `power` that lands on a point, taking the flatter of the two arcs
+// (ignores wind and the stone's spin; used by the headless tools)
+export function getAimAt(point, power, catapultPosition = CATAPULT_POSITION) {
+    const start = getLaunchPosition(Math.PI / 2, Math.PI / 4, catapultPosition);
+    const dx = point.x - start.x;
+    const dz = point.z - start.z;
+    const dy = point.y - start.y;
+    const distance = Math.hypot(dx, dz);
+    const g = 9.82;
+    const discriminant = power ** 4 - g * (g * distance * distance + 2 * dy * power * power);
+    const aimAngleV = discriminant > 0
+        ? Math.atan((power * power - Math.sqrt(discriminant)) / (g * distance))
+        : Math.PI / 4;
+    return { aimAngleH: Math.atan2(dx, dz), aimAngleV, power };
+}
+
+// Spin given to a fired stone, drawn from the run's seeded random generator (see LevelModel.shotRandom)
+export function getShotSpin(random) {
+    return {
+        x: random.next() - 0.5,
+        y: random.next() - 0.5,
+        z: random.next() - 0.5
+    };
+}
@@ -0,0 +1,505 @@
+import { BuildingModel } from './BuildingModel.js';
+import { TargetModel } from './TargetModel.js';
+import { DebrisModel } from './DebrisModel.js';
+import { SCENERY_TYPES, createSceneryBody, hasSceneryBody } from './SceneryBodies.js';
+import { getBattlefieldLayout } from './BattlefieldLayout.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { Wind } from './Wind.js';
+import { LevelFormat } from '../levels/LevelFormat.js';
+import { getLevelData } from '../levels/index.js';
+
+// Seconds after a level loads before it can be won (nothing counts while it settles)
+export const VICTORY_CHECK_DELAY = 0.5;
+
+// Most building fragments in play at once; past this the oldest are cleaned up first
+export const DEBRIS_BUDGET = 60;
+
+/**
+ * LevelModel - A level's objects, damage handling and scoring, without any rendering
+ *
+ * Level extends this in the browser, building meshes for the same objects and
+ * for the battlefield dressing around them.
+ */
+export class LevelModel {
+    constructor(physicsWorld, levelNumber = 1, levelData = null) {
+        this.physicsWorld = physicsWorld;
+        this.levelNumber = levelNumber;
+        this.levelData = levelData; // Overrides the shipped data file for this level number
+        this.targets = [];
+        this.buildings = [];
+        this.scenery = []; // Scenery assets placed by the level data (not the battlefield dressing)
+        this.dressing = []; // Bodies of the battlefield dressing (see BattlefieldLayout)
+        this.debris = []; // Fragments of destroyed buildings, oldest first
+
+        // Level settings (filled in from level data on load)
+        this.name = '';
+        this.baseX = 0;
+        this.ammo = 10;
+        this.scenerySeed = levelNumber * 12345;
+        this.windDefinition = null; // The level's { x, z, gusts }, or null for still air
+        this.wind = null; // Blowing wind (see resetWind)
+
+        // Track initial counts and destroyed counts
+        this.initialTargetCount = 0;
+        this.initialBuildingCount = 0;
+        this.targetsDestroyed = 0;
+        this.obstaclesDestroyed = 0;
+        this.obstacleScoreAccumulated = 0; // Track weighted score of destroyed obstacles
+        this.impactScore = 0; // Score of targets knocked out and not yet collected (see collectImpactScore)
+
+        // The shot that last set each body going, directly or through whatever it hit
+        // (see registerShot), so every kill is credited to the shot that caused it
+        this.bodyShots = new WeakMap();
+        this.shotKills = []; // Targets and obstacles each shot destroyed, in firing order
+
+        // Create seeded random generator based on level number
+        this.random = new SeededRandom(levelNumber * 12345);
+
+        // Separate generator for gameplay (shot spin), so battlefield dressing doesn't shift it
+        this.shotRandom = new SeededRandom(this.scenerySeed);
+
+        // Set up collision handling for building and target damage
+        this.setupCollisionHandling();
+    }
+
+    setupCollisionHandling() {
+        // Register callback for anything hitting a building or target: the projectile, debris,
+        // another object or the ground. Falling pieces can bring down what they land on.
+        this.physicsWorld.registerCollisionCallback((strikerBody, objectBody, impactForce) => {
+            // Whatever a shot sets moving passes the credit on to what it hits
+            const shot = this.bodyShots.get(strikerBody);
+            if (shot) {
+                this.bodyShots.set(objectBody, shot);
+            }
+
+            // Find which building was hit
+            const hitBuilding = this.buildings.find(building => building.body === objectBody);
+
+            if (hitBuilding && !hitBuilding.isDestroyed) {
+                // Apply damage to the building
+                hitBuilding.takeDamage(impactForce);
+            }
+
+            // Targets take damage the same way, from hits, falls and crushing debris
+            const hitTarget = this.targets.find(target => target.body === objectBody);
+            if (hitTarget && !hitTarget.isDestroyed && hitTarget.takeDamage(impactForce)) {
+                this.impactScore += hitTarget.score;
+            }
+        });
+    }
+
+    // A shot has been fired; returns its number, counting from 1
+    registerShot(projectileBody) {
+        this.shotKills.push({ targets: 0, obstacles: 0 });
+        this.bodyShots.set(projectileBody, this.shotKills.length);
+        return this.shotKills.length;
+    }
+
+    // The shot a body's movement is credited to. Bodies no shot touched, like a target
+    // dropping when its platform is destroyed, go to the latest shot (0 before any).
+    getShotOf(body) {
+        return this.bodyShots.get(body) ?? this.shotKills.length;
+    }
+
+    creditKill(object, kind) {
+        const shot = this.getShotOf(object.body);
+        if (shot > 0) {
+            this.shotKills[shot - 1][kind]++;
+        }
+    }
+
+    // Score from targets knocked out by impacts since the last call
+    collectImpactScore() {
+        const score = this.impactScore;
+        this.impactScore = 0;
+        return score;
+    }
+
+    load() {
+        // Clear existing level
+        this.clear();
+        this.physicsWorld.resetTime();
+
+        // Reset destroyed counts
+        this.targetsDestroyed = 0;
+        this.obstaclesDestroyed = 0;
+        this.obstacleScoreAccumulated = 0;
+        this.resetShotTracking();
+        this.windDefinition = null;
+
+        // Build level from its data file (or data handed in by the caller)
+        const data = this.levelData || getLevelData(this.levelNumber);
+        if (data) {
+            this.loadFromData(data);
+        }
+        // else {
+        //     this.createRandomLevel();
+        // }
+
+        // The courtyard around the level, after the level's own objects as the game has always built it
+        this.spawnBattlefieldScenery();
+
+        // Store initial counts
+        this.initialTargetCount = this.targets.length;
+        this.initialBuildingCount = this.buildings.length;
+
+        this.resetShotRandom();
+        this.resetWind();
+
+        return this.targets.length;
+    }
+
+    // Restart the gameplay random sequence, so every run of the level plays out the same way
+    resetShotRandom() {
+        this.shotRandom = new SeededRandom(this.scenerySeed);
+    }
+
+    // Forget which shot did what, and any score not yet collected, for a fresh run
+    resetShotTracking() {
+        this.impactScore = 0;
+        this.bodyShots = new WeakMap();
+        this.shotKills = [];
+    }
+
+    // Start the level's wind afresh, gusts seeded like the shots
+    resetWind(definition = this.windDefinition) {
+        this.windDefinition = definition;
+        this.wind = new Wind(definition, this.scenerySeed);
+        this.physicsWorld.setWind(this.wind);
+    }
+
+    loadFromData(data) {
+        const level = LevelFormat.parse(data);
+
+        this.name = level.name;
+        this.baseX = level.baseX;
+        this.ammo = level.ammo;
+        this.scenerySeed = level.scenerySeed;
+        this.windDefinition = level.wind;
+
+        // Reseed scenery so every load of this level dresses the battlefield the same way
+        this.reseed(level.scenerySeed);
+
+        // Buildings
+        level.buildings.forEach(entry => {
+            const building = this.addBuilding(
+                level.baseX + entry.position.x,
+                entry.position.y,
+                entry.position.z,
+                entry.type
+            );
+            this.applyRotation(building, entry.rotation);
+            building.applyOverrides(entry.overrides);
+        });
+
+        // Targets
+        level.targets.forEach(entry => {
+            const target = this.addTarget(
+                level.baseX + entry.position.x,
+                entry.position.y,
+                entry.position.z,
+                entry.type
+            );
+            this.applyRotation(target, entry.rotation);
+            target.applyOverrides(entry.overrides);
+        });
+
+        // Scenery
+        level.scenery.forEach(entry => {
+            this.addScenery(
+                level.baseX + entry.position.x,
+                entry.position.y,
+                entry.position.z,
+                entry.type,
+                entry.params,
+                entry.rotation
+            );
+        });
+    }
+
+    reseed(seed) {
+        this.random = new SeededRandom(seed);
+    }
+
+    // Static bodies for the battlefield dressing (Level builds the assets themselves)
+    spawnBattlefieldScenery() {
+        getBattlefieldLayout().forEach(entry => {
+            if (!hasSceneryBody(entry.type)) return;
+            this.dressing.push(createSceneryBody(this.physicsWorld, entry.type, entry.params, entry.position, entry.rotation));
+        });
+    }
+
+    applyRotation(object, rotation) {
+        if (!rotation.x && !rotation.y && !rotation.z) return;
+
+        if (object.body) object.body.quaternion.setFromEuler(rotation.x, rotation.y, rotation.z);
+    }
+
+    createRandomLevel() {
+        // Procedurally generated level (using seeded random for consistency)
+        // Cap the level number to prevent objects from being placed too far away
+        const cappedLevel = Math.min(this.levelNumber, 15);
+        const baseX = 20 + (cappedLevel * 5);
+        const complexity = Math.min(cappedLevel, 5);
+
+        // Base platform
+        this.addBuilding(baseX, 0.15, 0, 'platform');
+
+        // Random structures
+        for (let i = 0; i < complexity; i++) {
+            const angle = (i / complexity) * Math.PI * 2;
+            const radius = 3;
+            const x = baseX + Math.cos(angle) * radius;
+            const z = Math.sin(angle) * radius;
+
+            this.addBuilding(x, 1, z, this.random.next() > 0.5 ? 'wall' : 'tower');
+            this.addTarget(x, 2.5, z, this.getRandomTargetType());
+        }
+
+        // Central target
+        this.addBuilding(baseX, 2, 0, 'platform');
+        this.addTarget(baseX, 3, 0, 'upgraded-soldier');
+    }
+
+    getRandomTargetType() {
+        const types = ['basic', 'soldier', 'upgraded-soldier', 'loot'];
+        return this.random.pick(types);
+    }
+
+    addBuilding(x, y, z, type) {
+        const building = this.createBuilding(x, y, z, type);
+        this.buildings.push(building);
+        return building;
+    }
+
+    addTarget(x, y, z, type) {
+        const target = this.createTarget(x, y, z, type);
+        this.targets.push(target);
+        return target;
+    }
+
+    addScenery(x, y, z, type, params = {}, rotation = { x: 0, y: 0, z: 0 }) {
+        const asset = this.createScenery(x, y, z, type, params, rotation);
+        if (asset) {
+            this.scenery.push(asset);
+        }
+        return asset;
+    }
+
+    removeScenery(asset) {
+        const index = this.scenery.indexOf(asset);
+        if (index > -1) this.scenery.splice(index, 1);
+        this.physicsWorld.removeBody(asset.body);
+    }
+
+    // Object factories - Level overrides these to build rendered objects
+    createBuilding(x, y, z, type) {
+        return new BuildingModel(this.physicsWorld, { x, y, z }, type);
+    }
+
+    createTarget(x, y, z, type) {
+        return new TargetModel(this.physicsWorld, { x, y, z }, type);
+    }
+
+    createDebris(building, piece) {
+        return new DebrisModel(this.physicsWorld, building.material, piece);
+    }
+
+    createScenery(x, y, z, type, params, rotation) {
+        const body = createSceneryBody(this.physicsWorld, type, params, { x, y, z }, rotation);
+        if (!body) return null;
+
+        return {
+            body,
+            type,
+            scenery: { type, position: { x, y, z }, params: { ...SCENERY_TYPES[type].params, ...params } }
+        };
+    }
+
+    update(deltaTime) {
+        // Update all targets
+        this.targets.forEach(target => target.update(deltaTime));
+
+        // Update all buildings
+        this.buildings.forEach(building => building.update(deltaTime));
+
+        // Update debris, dropping fragments that have been cleaned up
+        this.debris.forEach(piece => piece.update(deltaTime));
+        this.debris = this.debris.filter(piece => piece.isActive);
+
+        // Destroyed buildings break up and explosive ones blow up, which can destroy more;
+        // keep going until the chain reaction is over
+        let destroyedBuildings = this.buildings.filter(building => building.isDestroyed);
+        while (destroyedBuildings.length > 0) {
+            this.buildings = this.buildings.filter(building => !building.isDestroyed);
+
+            destroyedBuildings.forEach(building => {
+                // Accumulate score from buildings being removed
+                this.obstacleScoreAccumulated += building.scoreValue || 0;
+                this.obstaclesDestroyed++;
+                this.creditKill(building, 'obstacles');
+
+                // Buildings that fell off the world are just gone
+                if (building.body.position.y < -5) return;
+
+                this.breakUp(building);
+                if (building.explosion) {
+                    this.explode(building);
+                }
+            });
+
+            destroyedBuildings = this.buildings.filter(building => building.isDestroyed);
+        }
+
+        // Track destroyed targets before filtering (explosions above can take them out too)
+        const targetsBefore = this.targets.length;
+        this.targets.forEach(target => {
+            if (target.isDestroyed) this.creditKill(target, 'targets');
+        });
+        this.targets = this.targets.filter(target => !target.isDestroyed);
+        const targetsRemoved = targetsBefore - this.targets.length;
+        this.targetsDestroyed += targetsRemoved;
+    }
+
+    // Replace a destroyed building with its fragments. Called after the physics step,
+    // since bodies can't be added while the world is stepping.
+    breakUp(building) {
+        const shot = this.bodyShots.get(building.body);
+
+        building.getFragments().forEach(piece => {
+            const fragment = this.createDebris(building, piece);
+            if (shot) {
+                this.bodyShots.set(fragment.body, shot);
+            }
+            this.debris.push(fragment);
+        });
+
+        // Stay within the debris budget
+        while (this.debris.length > DEBRIS_BUDGET) {
+            this.debris.shift().remove();
+        }
+    }
+
+    /**
+     * Blow up an explosive building (see BuildingModel.explosion): everything in range is
+     * pushed away and damaged, less the further it is from the blast. Explosive buildings
+     * it destroys go off in turn, and every kill goes to the shot that set it off.
+     */
+    explode(building) {
+        const { radius, impulse, force } = building.explosion;
+        const center = building.body.position;
+        const shot = this.getShotOf(building.body);
+
+        // 1 at the center of the blast down to 0 at its edge
+        const getFalloff = body => Math.max(0, 1 - body.position.distanceTo(center) / radius);
+
+        const push = (body, falloff) => {
+            if (body.mass === 0) return;
+
+            // Away from the blast and a little upward
+            const direction = body.position.vsub(center);
+            direction.y += 1;
+            direction.normalize();
+
+            body.wakeUp();
+            body.applyImpulse(direction.scale(impulse * falloff));
+            if (shot) {
+                this.bodyShots.set(body, shot);
+            }
+        };
+
+        this.buildings.forEach(other => {
+            const falloff = getFalloff(other.body);
+            if (other.isDestroyed || falloff === 0) return;
+
+            push(other.body, falloff);
+            other.takeDamage(force * falloff);
+        });
+
+        this.targets.forEach(target => {
+            const falloff = getFalloff(target.body);
+            if (target.isDestroyed || falloff === 0) return;
+
+            push(target.body, falloff);
+            if (target.takeDamage(force * falloff)) {
+                this.impactScore += target.score;
+            }
+        });
+
+        this.debris.forEach(piece => {
+            const falloff = getFalloff(piece.body);
+            if (piece.isActive && falloff > 0) push(piece.body, falloff);
+        });
+
+        console.log(`💥 ${building.buildingType} exploded (shot ${shot})`);
+    }
+
+    // Targets and obstacles destroyed by each shot, in firing order
+    getShotKills() {
+        return this.shotKills.map(kills => ({ ...kills }));
+    }
+
+    getRemainingTargets() {
+        return this.targets.length;
+    }
+
+    getDestroyedCounts() {
+        return {
+            targets: this.targetsDestroyed,
+            obstacles: this.obstaclesDestroyed,
+            obstacleScore: this.obstacleScoreAccumulated
+        };
+    }
+
+    getObstacleScore() {
+        return this.obstacleScoreAccumulated;
+    }
+
+    // Scoring formula: (targets destroyed + weighted obstacle score) / shots used
+    getFinalScore(shotsUsed) {
+        // Prevent division by zero
+        if (shotsUsed === 0) {
+            return 0;
+        }
+
+        const finalScore = ((this.targetsDestroyed + this.obstacleScoreAccumulated) / shotsUsed) * 100;
+        return Math.round(finalScore * 10) / 10; // Round to 1 decimal place
+    }
+
+    clear() {
+        // Remove all targets (whether destroyed or not)
+        this.targets.forEach(target => {
+            // Force destroy to clean up resources
+            target.isDestroyed = false; // Reset flag to ensure destroy() runs
+            target.destroy();
+        });
+        this.targets = [];
+
+        // Remove all buildings (whether destroyed or not)
+        this.buildings.forEach(building => {
+            // Force destroy to clean up resources
+            building.isDestroyed = false; // Reset flag to ensure destroy() runs
+            building.destroy();
+        });
+        this.buildings = [];
+
+        this.debris.forEach(piece => piece.remove());
+        this.debris = [];
+
+        this.clearScenery();
+
+        // Clear collision callbacks to prevent memory leaks
+        this.physicsWorld.clearCollisionCallbacks();
+
+        // Re-register our collision handler after clearing
+        this.setupCollisionHandling();
+    }
+
+    clearScenery() {
+        [...this.scenery].forEach(asset => this.removeScenery(asset));
+        this.scenery = [];
+
+        this.dressing.forEach(body => this.physicsWorld.removeBody(body));
+        this.dressing = [];
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Materials - Registry of what buildings can be made of
+ *
+ * Each material sets a building's toughness and score, how its body behaves in
+ * contacts, how it breaks up and how it looks:
+ *
+ *   hitPoints         Hit points before the building type's multiplier
+ *   damageMultiplier  Scales the damage an impact does
+ *   damageThreshold   Weakest impact force that does damage
+ *   density           Relative density; a building's mass scales by it against its type's usual material
+ *   friction          Surface friction, combined with the other surface in a contact (the lower wins)
+ *   restitution       Surface bounce, combined with the other surface in a contact (the higher wins)
+ *   score             Score before the building type's multiplier
+ *   fragmentSize      How much of its slice of the building a fragment fills (see BuildingModel.getFragments)
+ *   appearance        { color, roughness, metalness, opacity, texture } for the mesh; texture is a
+ *                     pattern painted by MaterialTextures in the browser
+ *
+ * PhysicsWorld.getBuildingBodyMaterial() makes the Cannon material and contact pairs for each one.
+ * Buildings use their type's usual material (wood or stone) unless the level overrides it.
+ */
+
+export const BUILDING_MATERIALS = {
+    'wood': {
+        label: 'Wood',
+        hitPoints: 100,
+        damageMultiplier: 1,
+        damageThreshold: 20,
+        density: 0.7,
+        friction: 0.4,
+        restitution: 0.01,
+        score: 10,
+        fragmentSize: 0.6, // Splinters
+        appearance: { color: 0x8B4513, roughness: 0.8, metalness: 0, opacity: 1, texture: 'grain' }
+    },
+    'stone': {
+        label: 'Stone',
+        hitPoints: 300,
+        damageMultiplier: 1,
+        damageThreshold: 20,
+        density: 2.4,
+        friction: 0.4,
+        restitution: 0.01,
+        score: 25,
+        fragmentSize: 0.9, // Solid blocks
+        appearance: { color: 0x808080, roughness: 0.9, metalness: 0, opacity: 1, texture: 'speckle' }
+    },
+    'ice': {
+        label: 'Ice',
+        hitPoints: 80,
+        damageMultiplier: 1.5, // Brittle
+        damageThreshold: 10,
+        density: 0.9,
+        friction: 0.03, // Slippery
+        restitution: 0.05,
+        score: 20,
+        fragmentSize: 0.5,
+        appearance: { color: 0xA5F2F3, roughness: 0.15, metalness: 0, opacity: 0.8, texture: 'frost' }
+    },
+    'glass': {
+        label: 'Glass',
+        hitPoints: 1, // Shatters on the first hit that does any damage
+        damageMultiplier: 1,
+        damageThreshold: 5,
+        density: 2.5,
+        friction: 0.2,
+        restitution: 0.05,
+        score: 15,
+        fragmentSize: 0.3, // Shards
+        appearance: { color: 0xD6F0FF, roughness: 0.05, metalness: 0.1, opacity: 0.4, texture: null }
+    },
+    'metal': {
+        label: 'Metal',
+        hitPoints: 600,
+        damageMultiplier: 0.5,
+        damageThreshold: 40,
+        density: 7.8,
+        friction: 0.3,
+        restitution: 0.2,
+        score: 50,
+        fragmentSize: 0.9,
+        appearance: { color: 0x71797E, roughness: 0.4, metalness: 0.8, opacity: 1, texture: 'brushed' }
+    }
+};
+
+// Add a material (or replace one), filling in anything it leaves out from stone
+export function registerBuildingMaterial(name, definition) {
+    const base = BUILDING_MATERIALS['stone'];
+    BUILDING_MATERIALS[name] = {
+        ...base,
+        label: name,
+        ...definition,
+        appearance: { ...base.appearance, ...definition.appearance }
+    };
+    return BUILDING_MATERIALS[name];
+}
+
+export function isBuildingMaterial(name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(BUILDING_MATERIALS, name);
+}
+
+// A material's definition; unknown names fall back to wood
+export function getBuildingMaterial(name) {
+    return isBuildingMaterial(name) ? BUILDING_MATERIALS[name] : BUILDING_MATERIALS['wood'];
+}
@@ -0,0 +1,59 @@
+import * as CANNON from 'cannon-es';
+
+/**
+ * ProjectileModel - A fired stone's physics body and lifetime, without any rendering
+ *
+ * Projectile extends this with its mesh in the browser.
+ */
+
+export const PROJECTILE_RADIUS = 0.4;
+export const PROJECTILE_MASS = 10;
+
+export class ProjectileModel {
+    constructor(physicsWorld, startPosition, velocity, spin = { x: 0, y: 0, z: 0 }) {
+        this.physicsWorld = physicsWorld;
+        this.body = null;
+        this.isActive = true;
+        this.lifetime = 0;
+        this.maxLifetime = 10; // Remove after 10 seconds
+
+        this.createBody(startPosition, velocity, spin);
+    }
+
+    createBody(startPosition, velocity, spin) {
+        this.body = new CANNON.Body({
+            mass: PROJECTILE_MASS,
+            shape: new CANNON.Sphere(PROJECTILE_RADIUS),
+            position: new CANNON.Vec3(startPosition.x, startPosition.y, startPosition.z),
+            material: this.physicsWorld.projectileMaterial,
+            linearDamping: 0.0,  // No air resistance - matches trajectory preview
+            angularDamping: 0.01,
+            sleepSpeedLimit: 0.2, // Stop rolling around once spent
+            sleepTimeLimit: 0.5
+        });
+
+        this.body.velocity.set(velocity.x, velocity.y, velocity.z);
+        this.physicsWorld.addBody(this.body);
+
+        this.body.angularVelocity.set(spin.x, spin.y, spin.z);
+    }
+
+    update(deltaTime) {
+        if (!this.isActive) return;
+
+        // Update lifetime
+        this.lifetime += deltaTime;
+
+        // Remove if too old or fell too far
+        if (this.lifetime > this.maxLifetime || this.body.position.y < -10) {
+            this.remove();
+        }
+    }
+
+    remove() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.physicsWorld.removeBody(this.body);
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * ReplayFormat - Versioned JSON schema for a recorded run of a level
+ *
+ * A replay file looks like:
+ * {
+ *     "version": 2,
+ *     "level": 3,
+ *     "shots": [[95, 1.5708, 0.7854, 20], [410, 1.62, 0.7, 22.5]]
+ * }
+ *
+ * Each shot is [tick, aimAngleH, aimAngleV, power]: the fixed step it was fired on,
+ * counted from the level load, then the catapult's aim in radians and the launch power.
+ * Shots are in firing order. The game runs on a fixed-step clock with seeded shot
+ * spin, so firing the same shots on the same ticks plays the run out again exactly.
+ *
+ * The version goes up whenever the physics changes how recorded shots play out.
+ * Older replays still load and play back, but may not end the way they did, so
+ * they're labelled as such and the leaderboard doesn't accept them:
+ *   1 - the first replays
+ *   2 - projectiles and debris settle and fall asleep sooner
+ *
+ * A run can't go on forever: each shot takes a reload, and on top of those the player
+ * gets REPLAY_IDLE_ALLOWANCE seconds in all to aim, so a replay is checked to be short
+ * enough before anything is simulated.
+ */
+
+import { LevelFormat } from '../levels/LevelFormat.js';
+import { SHOT_DURATION } from './Launch.js';
+import { FIXED_TIME_STEP } from '../PhysicsWorld.js';
+
+export const REPLAY_FORMAT_VERSION = 2;
+
+// Most shots any replay can hold (no shipped level gives more ammo)
+export const MAX_REPLAY_SHOTS = 20;
+
+// Seconds of a run spent not waiting for a reload: aiming, or waiting for the level to settle
+export const REPLAY_IDLE_ALLOWANCE = 120;
+
+// Fixed steps each shot plays out for before the catapult reloads
+const RELOAD_TICKS = Math.round(SHOT_DURATION / FIXED_TIME_STEP);
+
+export class ReplayFormat {
+    // An empty replay for a shipped level number
+    static create(levelNumber) {
+        return {
+            version: REPLAY_FORMAT_VERSION,
+            level: levelNumber,
+            shots: []
+        };
+    }
+
+    static addShot(replay, tick, aimAngleH, aimAngleV, power) {
+        replay.shots.push([tick, aimAngleH, aimAngleV, power]);
+    }
+
+    // A shot as { tick, aimAngleH, aimAngleV, power }
+    static getShot(replay, index) {
+        const [tick, aimAngleH, aimAngleV, power] = replay.shots[index];
+        return { tick, aimAngleH, aimAngleV, power };
+    }
+
+    // Whether a replay was recorded with today's physics, so it plays out as it did
+    static isCurrent(replay) {
+        return replay.version === REPLAY_FORMAT_VERSION;
+    }
+
+    // Last tick a run with this much ammo can reach, with each shot playing out in full
+    static getMaxTick(ammo, reloadTicks = RELOAD_TICKS) {
+        return ammo * reloadTicks + Math.round(REPLAY_IDLE_ALLOWANCE / FIXED_TIME_STEP);
+    }
+
+    // Fixed steps a replay takes to play out in full: up to its last shot, then that shot's reload
+    static getLength(replay, reloadTicks = RELOAD_TICKS) {
+        const count = replay.shots.length;
+        return count > 0 ? ReplayFormat.getShot(replay, count - 1).tick + reloadTicks : 0;
+    }
+
+    /**
+     * Validate raw replay data (object or JSON string).
+     * Throws an Error describing the first problem found.
+     */
+    static parse(raw) {
+        const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Replay data must be an object');
+        }
+
+        const version = data.version ?? 1;
+        if (typeof version !== 'number' || version < 1 || version > REPLAY_FORMAT_VERSION) {
+            throw new Error(`Unsupported replay format version: ${data.version}`);
+        }
+
+        if (!Number.isInteger(data.level) || data.level < 1) {
+            throw new Error('Replay level must be a level number');
+        }
+
+        if (!Array.isArray(data.shots)) {
+            throw new Error('Replay shots must be an array');
+        }
+        if (data.shots.length > MAX_REPLAY_SHOTS) {
+            throw new Error(`Replay has more than ${MAX_REPLAY_SHOTS} shots`);
+        }
+
+        const maxTick = ReplayFormat.getMaxTick(MAX_REPLAY_SHOTS);
+
+        let lastTick = 0;
+        const shots = data.shots.map((shot, index) => {
+            if (!Array.isArray(shot) || shot.length !== 4 || !shot.every(LevelFormat.isNumber)) {
+                throw new Error(`Replay shots[${index}] must be [tick, aimAngleH, aimAngleV, power]`);
+            }
+
+            const tick = shot[0];
+            if (!Number.isInteger(tick) || tick < lastTick) {
+                throw new Error(`Replay shots[${index}] has an invalid tick`);
+            }
+            if (tick > maxTick) {
+                throw new Error(`Replay shots[${index}] is fired after tick ${maxTick}`);
+            }
+            lastTick = tick;
+
+            return [...shot];
+        });
+
+        return {
+            version,
+            level: data.level,
+            shots
+        };
+    }
+}
@@ -0,0 +1,82 @@
+import * as CANNON from 'cannon-es';
+
+/**
+ * SceneryBodies - Physics bodies for the scenery assets a level can place,
+ * and for the battlefield dressing around every level (see BattlefieldLayout)
+ *
+ * MedievalAssets builds the meshes around these in the browser; the headless
+ * simulation uses the bodies alone.
+ */
+
+// Assets a level can place itself, with the parameters each takes and their defaults
+export const SCENERY_TYPES = {
+    'tower': { label: 'Tower', params: { height: 12, radius: 2.5 } },
+    'tent': { label: 'Tent', params: { size: 3, color: '#DC143C' } },
+    'bonfire': { label: 'Bonfire', params: { size: 1.5 } },
+    'barrel': { label: 'Barrel', params: { radius: 0.8, height: 1.5 } },
+    'banner': { label: 'Banner', params: { height: 5, color: '#DC143C' } },
+    'fence': { label: 'Fence', params: { length: 5, height: 2.5 } },
+    'well': { label: 'Well', params: { height: 2.5 } },
+    'hayBales': { label: 'Hay Bales', params: { count: 3 } }
+};
+
+// Assets only the battlefield dressing uses, with their defaults (the pond has no body)
+export const DRESSING_TYPES = {
+    'gate': { params: { width: 20, height: 18 } },
+    'stoneWall': { params: { length: 10, height: 12 } },
+    'weaponRack': { params: { weaponCount: 4 } },
+    'watchtower': { params: { height: 10 } },
+    'trainingDummy': { params: { height: 2.5 } }
+};
+
+// Shape of each asset's body, and how far above the asset's origin the body sits
+const SCENERY_SHAPES = {
+    'tower': p => ({ shape: new CANNON.Cylinder(p.radius, p.radius * 1.2, p.height, 8), offsetY: p.height / 2 - 5 }),
+    'tent': p => ({ shape: new CANNON.Box(new CANNON.Vec3(p.size * 0.5, p.size * 0.6, p.size * 0.5)), offsetY: p.size * 0.6 }),
+    'bonfire': p => ({ shape: new CANNON.Cylinder(p.size * 0.8, p.size * 0.8, 0.3, 8), offsetY: 0 }),
+    'barrel': p => ({ shape: new CANNON.Cylinder(p.radius, p.radius * 0.9, p.height, 8), offsetY: 0 }),
+    'banner': p => ({ shape: new CANNON.Cylinder(0.08, 0.08, p.height, 6), offsetY: 0 }),
+    'fence': p => ({ shape: new CANNON.Box(new CANNON.Vec3(p.length / 2, p.height / 2, 0.1)), offsetY: 0 }),
+    'well': p => ({ shape: new CANNON.Cylinder(1.2, 1.4, p.height, 12), offsetY: p.height / 2 }),
+    'hayBales': p => ({ shape: new CANNON.Box(new CANNON.Vec3(1.2, 0.8 * Math.ceil(p.count / 2), 0.8)), offsetY: -0.2 }),
+    'gate': p => ({ shape: new CANNON.Box(new CANNON.Vec3(p.width / 2, p.height / 2, 0.75)), offsetY: p.height / 2 - 5 }),
+    'stoneWall': p => ({ shape: new CANNON.Box(new CANNON.Vec3(p.length / 2, p.height / 2, 0.4)), offsetY: p.height / 2 - 5 }),
+    'weaponRack': p => ({ shape: new CANNON.Box(new CANNON.Vec3(1, 0.75, 0.15)), offsetY: 0 }),
+    'watchtower': p => ({ shape: new CANNON.Box(new CANNON.Vec3(1, p.height / 2, 1)), offsetY: 0 }),
+    'trainingDummy': p => ({ shape: new CANNON.Cylinder(0.4, 0.5, p.height, 8), offsetY: p.height / 2 })
+};
+
+export function hasSceneryBody(type) {
+    return type in SCENERY_SHAPES;
+}
+
+/**
+ * Create the static body for a scenery asset at an origin, turned by an optional
+ * XYZ rotation in radians, and add it to the world. Returns null for unknown types.
+ */
+export function createSceneryBody(physicsWorld, type, params = {}, position, rotation = null) {
+    const definition = SCENERY_TYPES[type] || DRESSING_TYPES[type];
+    if (!definition) {
+        console.warn(`Unknown scenery type: ${type}`);
+        return null;
+    }
+
+    const { shape, offsetY } = SCENERY_SHAPES[type]({ ...definition.params, ...params });
+    const body = new CANNON.Body({
+        mass: 0,
+        type: CANNON.Body.STATIC,
+        shape: shape,
+        position: new CANNON.Vec3(position.x, position.y + offsetY, position.z),
+        material: physicsWorld.objectMaterial
+    });
+
+    if (rotation) {
+        // Turn the body's offset with it so it stays over the same spot of the asset
+        body.quaternion.setFromEuler(rotation.x, rotation.y, rotation.z);
+        const offset = body.quaternion.vmult(new CANNON.Vec3(0, offsetY, 0));
+        body.position.set(position.x + offset.x, position.y + offset.y, position.z + offset.z);
+    }
+
+    physicsWorld.addBody(body);
+    return body;
+}
@@ -0,0 +1,193 @@
+import * as CANNON from 'cannon-es';
+import { PhysicsWorld, FIXED_TIME_STEP } from '../PhysicsWorld.js';
+import { LevelModel, VICTORY_CHECK_DELAY } from './LevelModel.js';
+import { ProjectileModel } from './ProjectileModel.js';
+import { ReplayFormat } from './ReplayFormat.js';
+import {
+    SHOT_DURATION, MIN_AIM_ANGLE_V, MAX_AIM_ANGLE_V, MIN_POWER, MAX_POWER,
+    clampAimAngleV, clampPower, getLaunchPosition, getLaunchVelocity, getShotSpin
+} from './Launch.js';
+
+/**
+ * Simulation - Plays a level headlessly: no Three.js, no DOM, runs in Node or the browser
+ *
+ * Builds the level's physics from level data, fires shots by aim angle and power,
+ * and reports what was destroyed and the score, using the same rules as the game.
+ *
+ * Usage:
+ *   const sim = new Simulation(levelData);
+ *   const result = sim.run([{ aimAngleH: Math.PI / 2, aimAngleV: Math.PI / 4, power: 20 }]);
+ *
+ *   const replayed = new Simulation(replay.level).runReplay(replay);
+ */
+
+export class Simulation {
+    // level: level data in the level file format, or a shipped level number
+    constructor(level, options = {}) {
+        this.stageSize = options.stageSize ?? 75; // Boundary walls sit at +/- this on X and Z, as in the game
+        this.shotDuration = options.shotDuration ?? SHOT_DURATION; // Seconds each shot plays out before the next, as in the game
+
+        // Cannon numbers bodies and shapes from process-wide counters and packs two body ids
+        // into one 32-bit contact key, so ids past 65535 turn into bodies that don't exist.
+        // Each simulation gets a world of its own, so its numbering can start again
+        // (only one simulation may be stepping at a time in a process)
+        CANNON.Body.idCounter = 0;
+        CANNON.Shape.idCounter = 0;
+
+        this.physicsWorld = new PhysicsWorld();
+        this.physicsWorld.createGroundBody();
+        this.physicsWorld.createBoundaryWalls(this.stageSize);
+
+        this.level = typeof level === 'number'
+            ? new LevelModel(this.physicsWorld, level)
+            : new LevelModel(this.physicsWorld, 1, level);
+        this.level.load();
+
+        this.ammo = this.level.ammo;
+        this.shotsUsed = 0;
+        this.score = 0; // Running score from destroyed targets (the in-game HUD score)
+        this.projectiles = [];
+        this.tick = 0; // Fixed steps since the level loaded
+    }
+
+    /**
+     * Fire a shot. Angles are in radians (aimAngleH = PI/2 fires straight down +X);
+     * the vertical angle and power are clamped to the catapult's limits.
+     * Returns the projectile, or null when out of ammo.
+     */
+    fire(aimAngleH, aimAngleV, power) {
+        if (this.ammo <= 0) return null;
+
+        const angleV = clampAimAngleV(aimAngleV);
+        const projectile = new ProjectileModel(
+            this.physicsWorld,
+            getLaunchPosition(aimAngleH, angleV),
+            getLaunchVelocity(aimAngleH, angleV, clampPower(power)),
+            getShotSpin(this.level.shotRandom)
+        );
+        this.level.registerShot(projectile.body);
+
+        this.projectiles.push(projectile);
+        this.shotsUsed++;
+        this.ammo--;
+        return projectile;
+    }
+
+    // Advance one fixed step, in the same order as Game.fixedUpdate()
+    step() {
+        this.physicsWorld.step();
+        this.level.update(FIXED_TIME_STEP);
+        this.score += this.level.collectImpactScore();
+
+        this.projectiles.forEach(projectile => projectile.update(FIXED_TIME_STEP));
+
+        // Remove inactive projectiles
+        this.projectiles = this.projectiles.filter(p => p.isActive);
+        this.tick++;
+    }
+
+    // Step for a number of seconds of game time
+    advance(seconds) {
+        const steps = Math.round(seconds / FIXED_TIME_STEP);
+        for (let i = 0; i < steps; i++) {
+            this.step();
+        }
+    }
+
+    // Fire a shot ({ aimAngleH, aimAngleV, power }) and let it play out
+    playShot(shot) {
+        const projectile = this.fire(shot.aimAngleH, shot.aimAngleV, shot.power);
+        if (!projectile) return false;
+
+        this.advance(this.shotDuration);
+        return true;
+    }
+
+    // Play shots in order until they run out, the ammo runs out or every target is down
+    run(shots) {
+        for (const shot of shots) {
+            if (this.isOver()) break;
+            this.playShot(shot);
+        }
+        return this.getResult();
+    }
+
+    /**
+     * Play a recorded run (see ReplayFormat) the way the game played it: each shot fires
+     * on its tick, and the run ends once the level is won or the last shot has played out.
+     * Throws if the replay has a shot the game couldn't have fired, or runs longer than
+     * the level's ammo allows (checked before any step is taken).
+     */
+    runReplay(replay) {
+        const reloadTicks = Math.round(this.shotDuration / FIXED_TIME_STEP);
+        let readyTick = 0; // First tick the catapult can fire on
+
+        const shotCount = replay.shots.length;
+        if (shotCount > this.ammo) {
+            throw new Error(`Replay has ${shotCount} shots but the level only has ${this.ammo}`);
+        }
+        if (ReplayFormat.getLength(replay, reloadTicks) > ReplayFormat.getMaxTick(this.ammo, reloadTicks)) {
+            throw new Error('Replay runs longer than the level allows');
+        }
+
+        for (let i = 0; i < replay.shots.length; i++) {
+            const shot = ReplayFormat.getShot(replay, i);
+
+            if (shot.tick < readyTick) {
+                throw new Error(`Replay shot ${i + 1} was fired before the catapult reloaded`);
+            }
+            if (shot.aimAngleV < MIN_AIM_ANGLE_V || shot.aimAngleV > MAX_AIM_ANGLE_V ||
+                shot.power < MIN_POWER || shot.power > MAX_POWER) {
+                throw new Error(`Replay shot ${i + 1} is outside the catapult's aim or power limits`);
+            }
+
+            if (this.advanceUntilWon(shot.tick)) return this.getResult();
+
+            if (!this.fire(shot.aimAngleH, shot.aimAngleV, shot.power)) {
+                throw new Error(`Replay shot ${i + 1} was fired without ammo`);
+            }
+            readyTick = shot.tick + reloadTicks;
+        }
+
+        // Let the last shot play out
+        this.advanceUntilWon(readyTick);
+        return this.getResult();
+    }
+
+    // Step up to a tick, stopping early if the level is won. Returns true if it was.
+    advanceUntilWon(tick) {
+        while (this.tick < tick) {
+            this.step();
+            if (this.isWon()) return true;
+        }
+        return this.isWon();
+    }
+
+    // Every target down, checked as the game checks it: only once the level has settled
+    isWon() {
+        const settleTicks = Math.round(VICTORY_CHECK_DELAY / FIXED_TIME_STEP);
+        return this.tick >= settleTicks && this.level.getRemainingTargets() === 0;
+    }
+
+    isOver() {
+        return this.ammo <= 0 || this.level.getRemainingTargets() === 0;
+    }
+
+    getResult() {
+        const destroyed = this.level.getDestroyedCounts();
+        const targetsRemaining = this.level.getRemainingTargets();
+
+        return {
+            level: this.level.name,
+            shotsUsed: this.shotsUsed,
+            ammoLeft: this.ammo,
+            targetsDestroyed: destroyed.targets,
+            targetsRemaining: targetsRemaining,
+            obstaclesDestroyed: destroyed.obstacles,
+            obstacleScore: destroyed.obstacleScore,
+            score: this.level.getFinalScore(this.shotsUsed),
+            shotKills: this.level.getShotKills(),
+            victory: targetsRemaining === 0
+        };
+    }
+}
@@ -0,0 +1,181 @@
+import * as CANNON from 'cannon-es';
+
+// Width of a grid cell on the ground (X/Z), about the size of a building
+export const CELL_SIZE = 4;
+
+// Bodies spanning more cells than this on an axis (the ground, the boundary walls) aren't binned
+const MAX_CELL_SPAN = 8;
+
+const isStatic = body => (body.type & CANNON.Body.STATIC) !== 0;
+const isAwake = body => !isStatic(body) && body.sleepState !== CANNON.Body.SLEEPING;
+
+/**
+ * SpatialBroadphase - Finds the bodies that may be touching, keeping static bodies in a grid
+ *
+ * Static bodies are binned into the X/Z cells their bounding spheres cover, again
+ * only when one is added, removed or moved. Each awake body is tested against the
+ * other moving bodies and just the static bodies sharing a cell with it, so static
+ * scenery away from the action never enters a pair test. Static bodies too big to
+ * bin (the ground, the boundary walls) are tested every time.
+ *
+ * The pairs found, and their order, are exactly those of cannon's NaiveBroadphase
+ * (same bounding sphere test, sorted the way its loops produce them), so switching
+ * over doesn't change how any run plays out.
+ */
+export class SpatialBroadphase extends CANNON.Broadphase {
+    constructor(cellSize = CELL_SIZE) {
+        super();
+        this.cellSize = cellSize;
+
+        // Static bodies as last binned, with where each one was
+        this.statics = [];
+        this.staticPlaces = [];
+        this.cells = new Map(); // Cell key -> static bodies overlapping it
+        this.unbinned = []; // Static bodies too big for the grid
+
+        this.moving = []; // Dynamic and kinematic bodies this step
+        this.visited = []; // Stamp by body index, so a static body in several cells is tested once
+        this.stamp = 0;
+        this.found1 = []; // Pairs found this step, the body with the higher index first
+        this.found2 = [];
+    }
+
+    // Cell range a body's bounding sphere covers, or null if it's too big to bin
+    getCellRange(body) {
+        const r = body.boundingRadius;
+        const minX = Math.floor((body.position.x - r) / this.cellSize);
+        const maxX = Math.floor((body.position.x + r) / this.cellSize);
+        const minZ = Math.floor((body.position.z - r) / this.cellSize);
+        const maxZ = Math.floor((body.position.z + r) / this.cellSize);
+
+        if (!Number.isFinite(minX + maxX + minZ + maxZ) ||
+            maxX - minX > MAX_CELL_SPAN || maxZ - minZ > MAX_CELL_SPAN) {
+            return null;
+        }
+        return { minX, maxX, minZ, maxZ };
+    }
+
+    getCellKey(x, z) {
+        return x * 65536 + z;
+    }
+
+    // Whether any static body was added, removed, moved or resized since the last binning
+    staticsChanged(bodies) {
+        let count = 0;
+        for (const body of bodies) {
+            if (!isStatic(body)) continue;
+
+            const place = this.staticPlaces[count];
+            if (this.statics[count] !== body || place.x !== body.position.x ||
+                place.z !== body.position.z || place.r !== body.boundingRadius) {
+                return true;
+            }
+            count++;
+        }
+        return count !== this.statics.length;
+    }
+
+    binStatics(bodies) {
+        this.statics = bodies.filter(isStatic);
+        this.staticPlaces = this.statics.map(body => ({ x: body.position.x, z: body.position.z, r: body.boundingRadius }));
+        this.cells.clear();
+        this.unbinned = [];
+
+        this.statics.forEach(body => {
+            const range = this.getCellRange(body);
+            if (!range) {
+                this.unbinned.push(body);
+                return;
+            }
+
+            for (let x = range.minX; x <= range.maxX; x++) {
+                for (let z = range.minZ; z <= range.maxZ; z++) {
+                    const key = this.getCellKey(x, z);
+                    const cell = this.cells.get(key);
+                    if (cell) cell.push(body);
+                    else this.cells.set(key, [body]);
+                }
+            }
+        });
+    }
+
+    collisionPairs(world, pairs1, pairs2) {
+        const bodies = world.bodies; // Cannon keeps each body's index into this
+        const found1 = this.found1;
+        const found2 = this.found2;
+        found1.length = 0;
+        found2.length = 0;
+
+        if (this.staticsChanged(bodies)) {
+            this.binStatics(bodies);
+        }
+
+        const moving = this.moving;
+        moving.length = 0;
+        bodies.forEach(body => {
+            if (!isStatic(body)) moving.push(body);
+        });
+
+        // The body with the higher index goes first, as in NaiveBroadphase
+        const test = (bodyA, bodyB) => {
+            if (!this.needBroadphaseCollision(bodyA, bodyB)) return;
+            if (bodyA.index > bodyB.index) {
+                this.intersectionTest(bodyA, bodyB, found1, found2);
+            } else {
+                this.intersectionTest(bodyB, bodyA, found1, found2);
+            }
+        };
+
+        moving.forEach(body => {
+            if (!isAwake(body)) return;
+
+            // Other moving bodies; two awake ones are tested from the one with the lower index
+            moving.forEach(other => {
+                if (other === body || (isAwake(other) && other.index < body.index)) return;
+                test(body, other);
+            });
+
+            // Static bodies: the big ones always, the rest only in the cells around this one
+            this.unbinned.forEach(other => test(body, other));
+
+            const range = this.getCellRange(body);
+            if (!range) {
+                this.statics.forEach(other => {
+                    if (!this.unbinned.includes(other)) test(body, other);
+                });
+                return;
+            }
+
+            const stamp = ++this.stamp;
+            for (let x = range.minX; x <= range.maxX; x++) {
+                for (let z = range.minZ; z <= range.maxZ; z++) {
+                    const cell = this.cells.get(this.getCellKey(x, z));
+                    if (!cell) continue;
+
+                    cell.forEach(other => {
+                        if (this.visited[other.index] === stamp) return;
+                        this.visited[other.index] = stamp;
+                        test(body, other);
+                    });
+                }
+            }
+        });
+
+        // In the order NaiveBroadphase finds them: by the higher index, then the lower
+        const order = found1.map((body, i) => i);
+        order.sort((a, b) => found1[a].index - found1[b].index || found2[a].index - found2[b].index);
+        order.forEach(i => {
+            pairs1.push(found1[i]);
+            pairs2.push(found2[i]);
+        });
+    }
+
+    // Bodies whose bounding boxes overlap an AABB (used by raycasts)
+    aabbQuery(world, aabb, result = []) {
+        world.bodies.forEach(body => {
+            if (body.aabbNeedsUpdate) body.updateAABB();
+            if (body.aabb.overlaps(aabb)) result.push(body);
+        });
+        return result;
+    }
+}
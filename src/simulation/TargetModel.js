@@ -0,0 +1,140 @@
+import * as CANNON from 'cannon-es';
+
+/**
+ * TargetModel - A target's physics body, health and score, without any rendering
+ *
+ * Target extends this with its mesh and effects in the browser.
+ */
+export class TargetModel {
+    constructor(physicsWorld, position, type = 'basic') {
+        this.physicsWorld = physicsWorld;
+        this.position = position;
+        this.type = type;
+        this.body = null;
+        this.isDestroyed = false;
+        this.health = this.getHealthForType(type);
+        this.maxHealth = this.health;
+        this.score = this.getScoreForType(type);
+        this.damageThreshold = 10; // Minimum impact force that does damage
+
+        // Per-instance values set by the level (see applyOverrides)
+        this.overrides = {};
+
+        this.createBody();
+    }
+
+    applyOverrides(overrides) {
+        this.overrides = { ...overrides };
+
+        if (overrides.hitPoints !== undefined) {
+            this.health = overrides.hitPoints;
+            this.maxHealth = overrides.hitPoints;
+        }
+        if (overrides.score !== undefined) {
+            this.score = overrides.score;
+        }
+        if (overrides.damageThreshold !== undefined) {
+            this.damageThreshold = overrides.damageThreshold;
+        }
+
+        if (overrides.mass !== undefined || overrides.static !== undefined) {
+            const mass = overrides.mass ?? this.body.mass;
+            this.physicsWorld.setBodyMass(this.body, mass, overrides.static ?? false);
+        }
+    }
+
+    getHealthForType(type) {
+        const healthMap = {
+            'basic': 50,
+            'soldier': 100,
+            'upgraded-soldier': 150,
+            'loot': 30
+        };
+        return healthMap[type] || 50;
+    }
+
+    getScoreForType(type) {
+        const scoreMap = {
+            'basic': 100,
+            'soldier': 200,
+            'upgraded-soldier': 300,
+            'loot': 150
+        };
+        return scoreMap[type] || 100;
+    }
+
+    getPhysicsShape() {
+        const size = 0.8;
+
+        switch(this.type) {
+            case 'soldier':
+                return new CANNON.Cylinder(0.3, 0.4, 1.2, 8);
+            case 'upgraded-soldier':
+                return new CANNON.Cylinder(0.35, 0.45, 1.3, 8);
+            case 'loot':
+                return new CANNON.Box(new CANNON.Vec3(size/2, size * 0.3, size * 0.35));
+            default: // 'basic' target board
+                return new CANNON.Cylinder(size, size, 0.2, 16);
+        }
+    }
+
+    createBody() {
+        this.body = new CANNON.Body({
+            mass: this.type === 'loot' ? 2 : 5,
+            shape: this.getPhysicsShape(),
+            position: new CANNON.Vec3(this.position.x, this.position.y, this.position.z),
+            material: this.physicsWorld.objectMaterial,
+            sleepSpeedLimit: 0.1, // Lower threshold for sleep
+            sleepTimeLimit: 0.1,   // Sleep faster
+            linearDamping: 0.01,   // Reduce bouncing
+            angularDamping: 0.01   // Reduce rotation
+        });
+
+        // Freeze object immediately - no bouncing on spawn
+        this.body.velocity.set(0, 0, 0);
+        this.body.angularVelocity.set(0, 0, 0);
+        this.body.sleep();
+
+        this.physicsWorld.addBody(this.body);
+    }
+
+    update(deltaTime) {
+        if (this.isDestroyed) return;
+
+        // Check if fallen off the world
+        if (this.body.position.y < -5) {
+            this.destroy();
+        }
+    }
+
+    // Damage from an impact (see PhysicsWorld.calculateImpactForce), the same way buildings take it
+    takeDamage(impactForce) {
+        if (impactForce < this.damageThreshold) return false;
+
+        // Force above threshold translates to damage
+        this.health -= (impactForce - this.damageThreshold) * 2;
+
+        if (this.health > 0) {
+            this.onDamaged();
+        } else {
+            this.destroy();
+        }
+
+        return this.health <= 0;
+    }
+
+    // Hook for visual feedback when damaged but not destroyed (see Target)
+    onDamaged() {}
+
+    destroy() {
+        if (this.isDestroyed) return false;
+
+        this.isDestroyed = true;
+
+        if (this.body) {
+            this.physicsWorld.removeBody(this.body);
+        }
+
+        return true;
+    }
+}
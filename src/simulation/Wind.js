@@ -0,0 +1,66 @@
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// Seconds each gust takes to blend into the next
+export const GUST_INTERVAL = 2;
+
+/**
+ * Wind - A level's steady wind plus seeded gusts
+ *
+ * Wind is a horizontal acceleration (m/s²) that PhysicsWorld applies to projectiles.
+ * Gusts add up to `gusts` m/s² more, in a direction that drifts to a new one every
+ * GUST_INTERVAL seconds. They're drawn from a generator seeded by the level, so as
+ * long as it's only advanced in fixed steps a run plays out the same way every time.
+ */
+export class Wind {
+    // definition: the level's { x, z, gusts } (see LevelFormat), or null for still air
+    constructor(definition, seed) {
+        this.base = { x: definition?.x ?? 0, z: definition?.z ?? 0 };
+        this.gustStrength = definition?.gusts ?? 0;
+        this.seed = seed;
+
+        this.reset();
+    }
+
+    // Back to how the wind blows when the level loads
+    reset() {
+        this.random = new SeededRandom(this.seed);
+        this.time = 0; // Seconds into the current gust
+        this.gustFrom = { x: 0, z: 0 };
+        this.gustTo = this.nextGust();
+
+        // Current wind
+        this.x = this.base.x;
+        this.z = this.base.z;
+    }
+
+    nextGust() {
+        if (this.gustStrength === 0) return { x: 0, z: 0 };
+
+        const angle = this.random.next() * Math.PI * 2;
+        const strength = this.random.next() * this.gustStrength;
+        return { x: Math.cos(angle) * strength, z: Math.sin(angle) * strength };
+    }
+
+    update(deltaTime) {
+        if (this.gustStrength === 0) return;
+
+        this.time += deltaTime;
+        if (this.time >= GUST_INTERVAL) {
+            this.time -= GUST_INTERVAL;
+            this.gustFrom = this.gustTo;
+            this.gustTo = this.nextGust();
+        }
+
+        const blend = this.time / GUST_INTERVAL;
+        this.x = this.base.x + this.gustFrom.x + (this.gustTo.x - this.gustFrom.x) * blend;
+        this.z = this.base.z + this.gustFrom.z + (this.gustTo.z - this.gustFrom.z) * blend;
+    }
+
+    isCalm() {
+        return this.x === 0 && this.z === 0;
+    }
+
+    getStrength() {
+        return Math.hypot(this.x, this.z);
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * CommandHistory - Undo/redo stack of editor commands
+ *
+ * A command is an object with execute() and undo() methods and an optional
+ * label used for logging. execute() must be safe to call again on redo.
+ */
+
+export class CommandHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange = null; // Called after every execute/undo/redo/clear
+    }
+
+    // Run a command and make it undoable
+    execute(command) {
+        command.execute();
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+
+        // A new action invalidates anything that was undone
+        this.redoStack = [];
+        this.notify();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        command.undo();
+        this.redoStack.push(command);
+        console.log(`↩️ Undo: ${command.label || 'command'}`);
+        this.notify();
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        command.execute();
+        this.undoStack.push(command);
+        console.log(`↪️ Redo: ${command.label || 'command'}`);
+        this.notify();
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+}
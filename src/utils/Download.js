@@ -0,0 +1,20 @@
+/**
+ * Download - Saves data the player made (levels, prefabs, replays) as a JSON file
+ */
+
+// Offer `data` as a download named `fileName`; returns the JSON written
+export function downloadJSON(data, fileName, indent = 4) {
+    const json = JSON.stringify(data, null, indent);
+    
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    return json;
+}
@@ -0,0 +1,111 @@
+/**
+ * DraftStore - Autosave and named drafts for the level creator, kept in local storage
+ *
+ * Drafts hold level data in the level file format. The autosave is the last
+ * state of whatever was being edited, used to recover work after a refresh.
+ */
+
+export class DraftStore {
+    constructor() {
+        this.storageKey = 'castleCrasher_levelDrafts';
+        this.data = this.load();
+    }
+
+    // Load drafts from localStorage
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                return { drafts: {}, activeDraft: null, autosave: null, ...JSON.parse(saved) };
+            }
+        } catch (e) {
+            console.warn('Failed to load drafts:', e);
+        }
+
+        // Default draft data structure
+        return {
+            drafts: {},
+            activeDraft: null,
+            autosave: null
+        };
+    }
+
+    // Save drafts to localStorage
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (e) {
+            console.error('Failed to save drafts:', e);
+        }
+    }
+
+    getNames() {
+        return Object.keys(this.data.drafts).sort();
+    }
+
+    get(name) {
+        return this.data.drafts[name] || null;
+    }
+
+    getActive() {
+        return this.get(this.data.activeDraft) ? this.data.activeDraft : null;
+    }
+
+    setActive(name) {
+        this.data.activeDraft = name;
+        this.save();
+    }
+
+    // Create a draft, or overwrite one with the same name
+    put(name, level) {
+        this.data.drafts[name] = { name, level, updatedAt: Date.now() };
+        this.save();
+    }
+
+    rename(name, newName) {
+        const draft = this.get(name);
+        if (!draft) throw new Error(`No draft named "${name}"`);
+        if (this.get(newName)) throw new Error(`A draft named "${newName}" already exists`);
+
+        delete this.data.drafts[name];
+        this.data.drafts[newName] = { ...draft, name: newName };
+        if (this.data.activeDraft === name) this.data.activeDraft = newName;
+        if (this.data.autosave && this.data.autosave.draft === name) this.data.autosave.draft = newName;
+        this.save();
+    }
+
+    duplicate(name, newName) {
+        const draft = this.get(name);
+        if (!draft) throw new Error(`No draft named "${name}"`);
+        if (this.get(newName)) throw new Error(`A draft named "${newName}" already exists`);
+
+        this.put(newName, JSON.parse(JSON.stringify(draft.level)));
+    }
+
+    remove(name) {
+        delete this.data.drafts[name];
+        if (this.data.activeDraft === name) this.data.activeDraft = null;
+        this.save();
+    }
+
+    // Record the current editor state, and keep the active draft up to date with it
+    autosave(level) {
+        const updatedAt = Date.now();
+        const activeDraft = this.getActive();
+
+        this.data.autosave = { level, draft: activeDraft, updatedAt };
+        if (activeDraft) {
+            this.data.drafts[activeDraft] = { name: activeDraft, level, updatedAt };
+        }
+        this.save();
+    }
+
+    getAutosave() {
+        return this.data.autosave;
+    }
+
+    clearAutosave() {
+        this.data.autosave = null;
+        this.save();
+    }
+}
@@ -3,7 +3,8 @@ export class LeaderboardService {
         this.apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
     }
 
-    async submitScore(nickname, totalScore, levelsCompleted, deviceId) {
+    // levels: [{ level, score, replay }] - the runs behind totalScore, which the server re-plays to check
+    async submitScore(nickname, totalScore, levelsCompleted, deviceId, levels) {
         try {
             const response = await fetch(`${this.apiUrl}/api/leaderboard`, {
                 method: 'POST',
@@ -14,7 +15,8 @@ export class LeaderboardService {
                     nickname,
                     totalScore,
                     levelsCompleted,
-                    deviceId
+                    deviceId,
+                    levels
                 })
             });
 
@@ -0,0 +1,99 @@
+/**
+ * PrefabLibrary - Named, reusable structures for the level creator, kept in local storage
+ *
+ * A prefab uses the same building/target entries as a level file. Positions are
+ * relative to the prefab's anchor: X/Z around its center, Y above its lowest point.
+ */
+
+import { LevelFormat } from '../levels/LevelFormat.js';
+
+export const PREFAB_FORMAT_VERSION = 1;
+
+export class PrefabLibrary {
+    constructor() {
+        this.storageKey = 'castleCrasher_prefabs';
+        this.prefabs = this.load();
+    }
+
+    // Load prefabs from localStorage, skipping any that no longer parse
+    load() {
+        const prefabs = {};
+
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                Object.values(JSON.parse(saved)).forEach(raw => {
+                    try {
+                        const prefab = PrefabLibrary.parse(raw);
+                        prefabs[prefab.name] = prefab;
+                    } catch (e) {
+                        console.warn('Skipping invalid prefab:', e);
+                    }
+                });
+            }
+        } catch (e) {
+            console.warn('Failed to load prefabs:', e);
+        }
+
+        return prefabs;
+    }
+
+    // Save prefabs to localStorage
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.prefabs));
+        } catch (e) {
+            console.error('Failed to save prefabs:', e);
+        }
+    }
+
+    // Add a prefab, replacing any with the same name
+    add(prefab) {
+        const parsed = PrefabLibrary.parse(prefab);
+        this.prefabs[parsed.name] = parsed;
+        this.save();
+        return parsed;
+    }
+
+    remove(name) {
+        delete this.prefabs[name];
+        this.save();
+    }
+
+    get(name) {
+        return this.prefabs[name] || null;
+    }
+
+    getNames() {
+        return Object.keys(this.prefabs).sort();
+    }
+
+    /**
+     * Validate raw prefab data (object or JSON string) and fill in defaults.
+     * Throws an Error describing the first problem found.
+     */
+    static parse(raw) {
+        const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Prefab data must be an object');
+        }
+
+        if (typeof data.name !== 'string' || data.name.trim() === '') {
+            throw new Error('Prefab needs a name');
+        }
+
+        const buildings = LevelFormat.parseEntries(data.buildings, 'buildings');
+        const targets = LevelFormat.parseEntries(data.targets, 'targets');
+        if (buildings.length + targets.length === 0) {
+            throw new Error(`Prefab "${data.name}" has no objects`);
+        }
+
+        return {
+            version: PREFAB_FORMAT_VERSION,
+            name: data.name.trim(),
+            buildings: buildings,
+            targets: targets
+        };
+    }
+}
@@ -1,3 +1,5 @@
+import { ReplayFormat } from '../simulation/ReplayFormat.js';
+
 /**
  * SaveSystem - Handles local storage for level completion and high scores
  */
@@ -36,8 +38,8 @@ export class SaveSystem {
         }
     }
     
-    // Update level completion with new score
-    updateLevel(levelNumber, score, targetsDestroyed, obstaclesDestroyed, shotsUsed) {
+    // Update level completion with new score (replay: the run's shots, see ReplayFormat)
+    updateLevel(levelNumber, score, targetsDestroyed, obstaclesDestroyed, shotsUsed, replay = null) {
         if (!this.data.levels[levelNumber]) {
             this.data.levels[levelNumber] = {
                 completed: false,
@@ -60,6 +62,14 @@ export class SaveSystem {
             levelData.bestShots = shotsUsed;
         }
         
+        // Keep the best run that has a replay, for the leaderboard to check
+        // (high scores saved before replays were recorded have none, and a run
+        // recorded by an older version of the game gives way to any new one)
+        const bestRun = levelData.bestRun;
+        if (replay && (!bestRun || !ReplayFormat.isCurrent(bestRun.replay) || score > bestRun.score)) {
+            levelData.bestRun = { score, replay };
+        }
+        
         // Mark as completed
         if (!levelData.completed) {
             levelData.completed = true;
@@ -100,6 +110,18 @@ export class SaveSystem {
         };
     }
     
+    // Best replayed run of each completed level, for leaderboard submission
+    // (runs recorded by an older version of the game can't be checked any more)
+    getLeaderboardRuns() {
+        return Object.entries(this.data.levels)
+            .filter(([, level]) => level.completed && level.bestRun && ReplayFormat.isCurrent(level.bestRun.replay))
+            .map(([levelNumber, level]) => ({
+                level: parseInt(levelNumber),
+                score: level.bestRun.score,
+                replay: level.bestRun.replay
+            }));
+    }
+    
     // Reset all save data
     reset() {
         this.data = {